@@ -0,0 +1,239 @@
+/**
+ * WebSocket Connection
+ * Minimal server side of RFC 6455 on top of Node's http upgrade event:
+ * the opening handshake and unfragmented text frames, which is all the
+ * versus relay exchanges. Built on the standard library only.
+ */
+
+import { createHash } from 'crypto';
+
+// Fixed key suffix from RFC 6455, hashed into the handshake reply
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Largest frame accepted from a client; relay messages are a few hundred bytes
+const MAX_PAYLOAD = 64 * 1024;
+
+const OPCODE = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+export class WebSocketConnection {
+    /**
+     * Complete the opening handshake of an upgrade request
+     * @param {http.IncomingMessage} request
+     * @param {net.Socket} socket
+     * @returns {WebSocketConnection|null} The connection, or null if the request was refused
+     */
+    static accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        const upgrade = (request.headers.upgrade || '').toLowerCase();
+
+        if (upgrade !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return null;
+        }
+
+        const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        return new WebSocketConnection(socket);
+    }
+
+    /**
+     * @param {net.Socket} socket - Socket that has completed the handshake
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.open = true;
+        this.listeners = new Map();
+
+        socket.setNoDelay(true);
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.socket.destroy());
+    }
+
+    /**
+     * Append incoming bytes and handle every complete frame
+     * @param {Buffer} data
+     */
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while (this.open && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Take one complete frame off the front of the buffer
+     * @returns {{fin: boolean, opcode: number, payload: Buffer}|null} The frame,
+     *   or null until more bytes arrive
+     */
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < offset + 2) return null;
+            length = buffer.readUInt16BE(offset);
+            offset += 2;
+        } else if (length === 127) {
+            if (buffer.length < offset + 8) return null;
+            length = Number(buffer.readBigUInt64BE(offset));
+            offset += 8;
+        }
+
+        // Clients must mask their frames, and nothing the relay expects is this big
+        if (!masked || length > MAX_PAYLOAD) {
+            this.close(masked ? 1009 : 1002);
+            return null;
+        }
+
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        offset += 4;
+
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            payload[i] = buffer[offset + i] ^ mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * Act on a frame: deliver text, answer pings and close requests
+     * @param {{fin: boolean, opcode: number, payload: Buffer}} frame
+     */
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODE.TEXT:
+                if (!fin) {
+                    // Relay messages are small enough never to be fragmented
+                    this.close(1009);
+                    return;
+                }
+                this.emit('message', payload.toString('utf8'));
+                break;
+            case OPCODE.PING:
+                this.writeFrame(OPCODE.PONG, payload);
+                break;
+            case OPCODE.CLOSE:
+                this.close(1000);
+                break;
+            case OPCODE.PONG:
+                break;
+            default:
+                // Binary and continuation frames are not part of the protocol
+                this.close(1003);
+        }
+    }
+
+    /**
+     * Send a text message
+     * @param {string} text
+     */
+    send(text) {
+        this.writeFrame(OPCODE.TEXT, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * Write an unmasked frame (servers never mask)
+     * @param {number} opcode
+     * @param {Buffer} payload
+     */
+    writeFrame(opcode, payload) {
+        if (!this.open) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Send a close frame and end the connection
+     * @param {number} [code=1000] - WebSocket close code
+     */
+    close(code = 1000) {
+        if (!this.open) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.writeFrame(OPCODE.CLOSE, payload);
+
+        this.open = false;
+        this.socket.end();
+        this.emit('close', code);
+    }
+
+    /**
+     * Handle the socket going away, with or without a close handshake
+     */
+    handleClose() {
+        if (!this.open) return;
+
+        this.open = false;
+        this.emit('close', 1006);
+    }
+
+    /**
+     * Subscribe to 'message' (text) or 'close' (code)
+     * @param {string} event
+     * @param {Function} callback
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+
+    /**
+     * Notify listeners
+     * @param {string} event
+     * @param {*} data
+     */
+    emit(event, data) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(cb => cb(data));
+        }
+    }
+}
+
+export default WebSocketConnection;
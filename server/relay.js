@@ -0,0 +1,233 @@
+/**
+ * Versus Relay
+ * Pairs two players in a room, hands both the same seed so they fly the same
+ * meteor field, forwards each player's lander state to the other and decides
+ * the match: the first to rescue the target number of astronauts wins, and a
+ * player who runs out of lives or leaves loses. Standard library only.
+ *
+ * Usage:
+ *   node server/relay.js [--port 8787] [--host 127.0.0.1] [--target 5]
+ *
+ * The target defaults to Config.VERSUS_TARGET. Then choose VERSUS on the title
+ * screen in two browser windows and join the same room code.
+ */
+
+import { createServer } from 'http';
+import { WebSocketConnection } from './WebSocketConnection.js';
+import { VERSUS_MESSAGES, VERSUS_DEFAULT_PORT, ROOM_PATTERN } from '../src/systems/VersusClient.js';
+import { Config } from '../src/core/Config.js';
+import { getDifficulty } from '../src/core/Difficulty.js';
+import { createSeed } from '../src/utils/Random.js';
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {string[]} argv
+ * @returns {Object<string, string>}
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+class VersusRelay {
+    /**
+     * @param {number} target - Astronauts a player must rescue to win
+     */
+    constructor(target) {
+        this.target = target;
+
+        // Rooms waiting for a second player or with a match in progress, by code
+        this.rooms = new Map();
+    }
+
+    /**
+     * Take on a new connection
+     * @param {WebSocketConnection} connection
+     */
+    add(connection) {
+        const player = { connection, room: null, slot: -1 };
+
+        connection.on('message', text => this.handleMessage(player, text));
+        connection.on('close', () => this.leave(player));
+    }
+
+    /**
+     * Route a message from a player
+     * @param {Object} player
+     * @param {string} text
+     */
+    handleMessage(player, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            this.send(player, VERSUS_MESSAGES.ERROR, { message: 'Malformed message' });
+            return;
+        }
+
+        // Valid JSON is not necessarily a message (null, numbers, arrays...)
+        if (!message || typeof message.type !== 'string') {
+            this.send(player, VERSUS_MESSAGES.ERROR, { message: 'Malformed message' });
+            return;
+        }
+
+        switch (message.type) {
+            case VERSUS_MESSAGES.JOIN:
+                this.join(player, message);
+                break;
+            case VERSUS_MESSAGES.STATE:
+                this.forwardState(player, message);
+                break;
+            case VERSUS_MESSAGES.FINISH:
+                this.decide(player.room, player.slot, 'target');
+                break;
+            case VERSUS_MESSAGES.OUT:
+                this.decide(player.room, 1 - player.slot, 'out');
+                break;
+            default:
+                this.send(player, VERSUS_MESSAGES.ERROR, { message: `Unknown message type '${message.type}'` });
+        }
+    }
+
+    /**
+     * Put a player in a room, starting the match when it is the second
+     * @param {Object} player
+     * @param {{room: string, difficulty: string}} message
+     */
+    join(player, { room: code, difficulty }) {
+        if (player.room) {
+            this.send(player, VERSUS_MESSAGES.ERROR, { message: 'Already in a room' });
+            return;
+        }
+        if (typeof code !== 'string' || !ROOM_PATTERN.test(code)) {
+            this.send(player, VERSUS_MESSAGES.ERROR, { message: 'Invalid room code' });
+            return;
+        }
+
+        let room = this.rooms.get(code);
+        if (room && room.players.length >= 2) {
+            this.send(player, VERSUS_MESSAGES.ERROR, { message: `Room ${code} is full` });
+            return;
+        }
+
+        if (!room) {
+            // The first player in the room picks the difficulty
+            room = { code, players: [], difficulty: getDifficulty(difficulty).id, winner: -1 };
+            this.rooms.set(code, room);
+        }
+
+        player.room = room;
+        player.slot = room.players.length;
+        room.players.push(player);
+
+        if (room.players.length < 2) {
+            this.send(player, VERSUS_MESSAGES.WAITING, { room: code });
+            return;
+        }
+
+        const seed = createSeed();
+        room.players.forEach(member => {
+            this.send(member, VERSUS_MESSAGES.START, {
+                room: code,
+                seed,
+                target: this.target,
+                difficulty: room.difficulty,
+                slot: member.slot
+            });
+        });
+    }
+
+    /**
+     * Pass a player's lander state on to their opponent
+     * Only the known STATE fields are passed on, never the whole message
+     * @param {Object} player
+     * @param {Object} message
+     */
+    forwardState(player, { pose, rescued, lives }) {
+        const opponent = this.getOpponent(player);
+        if (opponent) {
+            this.send(opponent, VERSUS_MESSAGES.STATE, { pose, rescued, lives });
+        }
+    }
+
+    /**
+     * Settle a match, once; later claims (the slower finisher) are ignored
+     * The room closes so its code can be used for a rematch
+     * @param {Object|null} room
+     * @param {number} winner - Slot of the winning player
+     * @param {string} reason - 'target', 'out' or 'forfeit'
+     */
+    decide(room, winner, reason) {
+        if (!room || room.winner !== -1 || room.players.length < 2) return;
+
+        room.winner = winner;
+        room.players.forEach(member => this.send(member, VERSUS_MESSAGES.RESULT, { winner, reason }));
+        this.rooms.delete(room.code);
+    }
+
+    /**
+     * Handle a player disconnecting: a match in progress is forfeited
+     * @param {Object} player
+     */
+    leave(player) {
+        const room = player.room;
+        if (!room) return;
+
+        this.decide(room, 1 - player.slot, 'forfeit');
+
+        room.players = room.players.filter(member => member !== player);
+        if (!room.players.length && this.rooms.get(room.code) === room) {
+            this.rooms.delete(room.code);
+        }
+        player.room = null;
+    }
+
+    /**
+     * Get the other player in a player's room
+     * @param {Object} player
+     * @returns {Object|null}
+     */
+    getOpponent(player) {
+        if (!player.room) return null;
+        return player.room.players.find(member => member !== player) || null;
+    }
+
+    /**
+     * Send a message to a player
+     * @param {Object} player
+     * @param {string} type
+     * @param {Object} [data]
+     */
+    send(player, type, data = {}) {
+        player.connection.send(JSON.stringify({ ...data, type }));
+    }
+}
+
+const args = parseArgs(process.argv.slice(2));
+const port = Number(args.port) || VERSUS_DEFAULT_PORT;
+const host = args.host || '127.0.0.1';
+const target = Number(args.target) || Config.VERSUS_TARGET;
+
+const relay = new VersusRelay(target);
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('Meteor Mission versus relay: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const connection = WebSocketConnection.accept(request, socket);
+    if (connection) {
+        relay.add(connection);
+    }
+});
+
+server.listen(port, host, () => {
+    console.log(`Versus relay listening on ws://${host}:${port}, first to ${target} rescues wins`);
+});
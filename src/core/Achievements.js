@@ -0,0 +1,72 @@
+/**
+ * Achievements
+ * Goals beyond the score, unlocked once and kept across games. Each is met
+ * when its condition holds for the counters of the run in play
+ * (see createRun() in AchievementSystem.js)
+ */
+
+export const ACHIEVEMENTS = {
+    firstRescue: {
+        id: 'firstRescue',
+        name: 'First Contact',
+        description: 'Rescue your first astronaut.',
+        condition: run => run.rescued >= 1
+    },
+    holdYourFire: {
+        id: 'holdYourFire',
+        name: 'Hold Your Fire',
+        description: 'Rescue 5 astronauts in one game without firing a shot.',
+        condition: run => run.rescued >= 5 && run.shots === 0
+    },
+    flagshipHunter: {
+        id: 'flagshipHunter',
+        name: 'Flagship Hunter',
+        description: 'Destroy 3 Flagships in one game.',
+        condition: run => run.flagshipsDestroyed >= 3
+    },
+    runningOnFumes: {
+        id: 'runningOnFumes',
+        name: 'Running on Fumes',
+        description: 'Land with under 5% fuel left.',
+        condition: run => run.lowestLandingFuel < 0.05
+    },
+    glider: {
+        id: 'glider',
+        name: 'Glider',
+        description: 'Clear a level without thrusting.',
+        condition: run => run.levelsClearedWithoutThrust >= 1
+    },
+    untouchable: {
+        id: 'untouchable',
+        name: 'Untouchable',
+        description: 'Clear a level without losing a life.',
+        condition: run => run.levelsClearedWithoutLoss >= 1
+    },
+    sweeper: {
+        id: 'sweeper',
+        name: 'Sweeper',
+        description: 'Destroy 50 meteors in one game.',
+        condition: run => run.meteorsDestroyed >= 50
+    },
+    deepSpace: {
+        id: 'deepSpace',
+        name: 'Deep Space',
+        description: 'Reach level 5.',
+        condition: run => run.level >= 5
+    },
+    tenThousand: {
+        id: 'tenThousand',
+        name: 'Ten Thousand',
+        description: 'Score 10,000 points in one game.',
+        condition: run => run.score >= 10000
+    }
+};
+
+/**
+ * Get an achievement by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getAchievement(id) {
+    return ACHIEVEMENTS[id] || null;
+}
@@ -4,6 +4,12 @@
  */
 
 export const Config = {
+    // Bump when a change to these values makes saved games invalid
+    CONFIG_VERSION: 4,
+
+    // Active difficulty profile (see Difficulty.js)
+    DIFFICULTY: 'pilot',
+
     // Game dimensions
     GAME_WIDTH: 40,
     GAME_HEIGHT: 60,
@@ -13,34 +19,132 @@ export const Config = {
     LANDING_PADS: 3,
     INITIAL_LIVES: 3,
     MAX_BULLETS: 3,
+    RESPAWN_DELAY: 1,
 
     // Fuel settings
     FUEL_MAX: 100,
     FUEL_CONSUMPTION_RATE: 15,
     FUEL_REFILL_ON_LAND: 50,
+    // Burned per second climbing, and boosting the climb
+    FUEL_ASCENT_RATE: 3,
+    FUEL_BOOST_RATE: 12,
+    // Warning below this fraction of a full tank, beeping every interval (seconds)
+    FUEL_LOW_WARNING: 0.25,
+    FUEL_WARNING_INTERVAL: 1,
+
+    // Emergency tow of a lander out of fuel back to the mothership
+    EMERGENCY_TOW: true,
+    TOW_SPEED: 8,
+    TOW_PENALTY: 300,
+
+    // Simulation timing (seconds)
+    FIXED_TIMESTEP: 1 / 60,
+    MAX_FRAME_TIME: 0.25,
+
+    // Physics (units per second, accelerations in units per second squared)
+    GRAVITY: -7.2,
+    THRUST: 18,
+    HORIZONTAL_SPEED: 18,
+    DESCENT_SPEED: -0.3,
+    ASCENT_SPEED: 6,
+    BULLET_SPEED: 48,
+    MAX_DESCENT_SPEED: -3.6,
+
+    // Landing: a touchdown crashes once its vertical speed, sideways drift and
+    // tilt (radians) add up to more than these limits, each taking its share;
+    // seconds the landing grade is shown
+    LANDING_MAX_SPEED: 3,
+    LANDING_MAX_DRIFT: 24,
+    LANDING_MAX_TILT: 0.6,
+    LANDING_GRADE_DURATION: 1.5,
 
-    // Physics
-    GRAVITY: -0.002,
-    THRUST: 0.005,
-    HORIZONTAL_SPEED: 0.3,
-    DESCENT_SPEED: -0.005,
-    ASCENT_SPEED: 0.1,
-    BULLET_SPEED: 0.8,
-    MAX_DESCENT_SPEED: -0.06,
+    // Meteor motion (maximum speed spread in units per second, spin in radians per second)
+    METEOR_SPEED_X: 6,
+    METEOR_SPEED_Y: 3,
+    METEOR_SPIN: 1.2,
+
+    // Meteor splitting: a meteor larger than METEOR_SPLIT_SCALE breaks into
+    // 2 or 3 fragments FRAGMENT_SCALE its size, flung apart at FRAGMENT_SPREAD
+    // units per second on top of FRAGMENT_SPEED times its velocity; for
+    // FRAGMENT_GRACE seconds they pass through the lander that shot it
+    METEOR_SPLIT_SCALE: 0.9,
+    METEOR_FRAGMENTS_MIN: 2,
+    METEOR_FRAGMENTS_MAX: 3,
+    FRAGMENT_SCALE: 0.55,
+    FRAGMENT_SPEED: 1.5,
+    FRAGMENT_SPREAD: 3,
+    FRAGMENT_GRACE: 0.5,
 
     // Scoring
     SCORE_LANDING: 100,
     SCORE_RESCUE: 200,
     SCORE_METEOR: 50,
+    SCORE_FRAGMENT: 75,
     SCORE_FLAGSHIP: 500,
 
+    // Combo multiplier (times in seconds)
+    COMBO_STEP: 0.5,
+    COMBO_MAX: 4,
+    COMBO_KILL_WINDOW: 2,
+    COMBO_CHAIN_LENGTH: 3,
+    COMBO_ROUND_TRIP_TIME: 20,
+    COMBO_DECAY_TIME: 10,
+
+    // Extra lives: one every EXTRA_LIFE_SCORE points (0 for none), up to EXTRA_LIFE_MAX a game
+    EXTRA_LIFE_SCORE: 10000,
+    EXTRA_LIFE_MAX: 3,
+
+    // Astronaut oxygen (seconds): each astronaut on a pad starts with OXYGEN_TIME,
+    // plus OXYGEN_STAGGER for every astronaut ahead of them on the pad
+    OXYGEN_TIME: 90,
+    OXYGEN_STAGGER: 20,
+    OXYGEN_LOW_WARNING: 15,
+    // Points lost per astronaut whose oxygen runs out, and rescue bonus points
+    // per second of oxygen an astronaut had left when picked up
+    OXYGEN_PENALTY: 250,
+    OXYGEN_BONUS_RATE: 5,
+
     // Level progression
     ASTRONAUTS_PER_LEVEL: 5,
     METEORS_PER_LEVEL: 3,
+    METEOR_SPEED_PER_LEVEL: 0.1,
 
     // Flagship
     FLAGSHIP_CHANCE: 0.05,
-    FLAGSHIP_FLASH_DURATION: 3,
+    FLAGSHIP_FLASH_DURATION: 1,
+    // Hits it takes, speeds when tracking and diving at a lander (units per
+    // second), how quickly it turns to a new course (per second) and how close
+    // a descending lander must be before it dives
+    FLAGSHIP_HEALTH: 3,
+    FLAGSHIP_SPEED: 6,
+    FLAGSHIP_DIVE_SPEED: 10,
+    FLAGSHIP_TURN_RATE: 2,
+    FLAGSHIP_DIVE_RANGE: 12,
+    // Seconds between shots at a climbing lander, and the shots' speed
+    FLAGSHIP_FIRE_INTERVAL: 1.5,
+    FLAGSHIP_SHOT_SPEED: 12,
+    // Seconds it backs away from the landers after being hit
+    FLAGSHIP_RETREAT_TIME: 2,
+
+    // Co-op (start positions either side of the docking bay, bullets hitting the other lander)
+    COOP_SPAWN_OFFSET: 5,
+    FRIENDLY_FIRE: false,
+
+    // Versus (relay address, rescues needed to win, steps between lander updates sent)
+    VERSUS_SERVER_URL: 'ws://localhost:8787',
+    VERSUS_TARGET: 5,
+    VERSUS_SYNC_INTERVAL: 3,
+
+    // Ghosts (opponent or personal best; steps between stored trajectory samples, best runs kept)
+    GHOST_OPACITY: 0.35,
+    GHOST_SAMPLE_INTERVAL: 6,
+    GHOST_MAX_RUNS: 10,
+
+    // Achievements (seconds an unlock toast stays up)
+    ACHIEVEMENT_TOAST_DURATION: 4,
+
+    // High scores
+    HIGH_SCORE_COUNT: 10,
 
     // Visual settings
     STAR_COUNT: 500,
@@ -51,8 +155,36 @@ export const Config = {
         DESCENT: 'descent',
         LANDED: 'landed',
         ASCENT: 'ascent',
-        GAME_OVER: 'gameover'
+        PAUSED: 'paused',
+        GAME_OVER: 'gameover',
+        EDITOR: 'editor'
     }
 };
 
+/**
+ * Copy the tunable values of Config (everything except lookup tables like PHASE)
+ * @returns {Object} Plain key-value snapshot
+ */
+export function snapshotConfig() {
+    const snapshot = {};
+    Object.entries(Config).forEach(([key, value]) => {
+        if (typeof value !== 'object') {
+            snapshot[key] = value;
+        }
+    });
+    return snapshot;
+}
+
+/**
+ * Overwrite Config values from a snapshot
+ * @param {Object} snapshot - Values returned by snapshotConfig()
+ */
+export function applyConfig(snapshot) {
+    Object.entries(snapshot).forEach(([key, value]) => {
+        if (key in Config && typeof Config[key] !== 'object') {
+            Config[key] = value;
+        }
+    });
+}
+
 export default Config;
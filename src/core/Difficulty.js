@@ -0,0 +1,129 @@
+/**
+ * Difficulty Profiles
+ * Named sets of Config overrides selectable from the title screen
+ */
+
+import { Config, snapshotConfig, applyConfig } from './Config.js';
+
+const STORAGE_KEY = 'meteorMission.difficulty';
+
+export const DEFAULT_DIFFICULTY = 'pilot';
+
+export const DIFFICULTY_PROFILES = {
+    cadet: {
+        id: 'cadet',
+        name: 'Cadet',
+        description: 'Fewer and slower meteors, extra fuel and lives. Good for learning the ropes.',
+        overrides: {
+            METEOR_COUNT: 15,
+            METEORS_PER_LEVEL: 2,
+            METEOR_SPEED_X: 4,
+            METEOR_SPEED_Y: 2,
+            METEOR_SPEED_PER_LEVEL: 0.05,
+            FUEL_MAX: 150,
+            FUEL_REFILL_ON_LAND: 75,
+            INITIAL_LIVES: 5,
+            FLAGSHIP_CHANCE: 0.03,
+            FLAGSHIP_HEALTH: 2,
+            FLAGSHIP_FIRE_INTERVAL: 2.5,
+            MAX_DESCENT_SPEED: -3,
+            EXTRA_LIFE_SCORE: 5000,
+            EXTRA_LIFE_MAX: 5,
+            OXYGEN_TIME: 120
+        }
+    },
+    pilot: {
+        id: 'pilot',
+        name: 'Pilot',
+        description: 'The standard mission.',
+        overrides: {}
+    },
+    arcade: {
+        id: 'arcade',
+        name: 'Arcade',
+        description: 'A crowded, fast meteor field, tighter fuel and frequent Flagships.',
+        overrides: {
+            METEOR_COUNT: 30,
+            METEORS_PER_LEVEL: 4,
+            METEOR_SPEED_X: 8,
+            METEOR_SPEED_Y: 4,
+            METEOR_SPEED_PER_LEVEL: 0.15,
+            FUEL_MAX: 80,
+            FLAGSHIP_CHANCE: 0.1,
+            FLAGSHIP_FIRE_INTERVAL: 1,
+            EXTRA_LIFE_SCORE: 15000,
+            OXYGEN_TIME: 75
+        }
+    },
+    authentic: {
+        id: 'authentic',
+        name: 'Authentic 1981',
+        description: 'Tuned after the TRS-80 original: heavy gravity, scarce fuel and steep level scaling.',
+        overrides: {
+            METEORS_PER_LEVEL: 5,
+            METEOR_SPEED_X: 7,
+            METEOR_SPEED_PER_LEVEL: 0.2,
+            FUEL_MAX: 60,
+            FUEL_REFILL_ON_LAND: 30,
+            FLAGSHIP_CHANCE: 0.08,
+            GRAVITY: -9,
+            MAX_DESCENT_SPEED: -4.5,
+            EXTRA_LIFE_SCORE: 20000,
+            EXTRA_LIFE_MAX: 1,
+            EMERGENCY_TOW: false,
+            OXYGEN_TIME: 60
+        }
+    }
+};
+
+// Config as shipped, before any profile was applied
+const BASE_CONFIG = snapshotConfig();
+
+/**
+ * Get a profile by id
+ * @param {string} id
+ * @returns {Object} The profile, or the default profile if the id is unknown
+ */
+export function getDifficulty(id) {
+    return DIFFICULTY_PROFILES[id] || DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY];
+}
+
+/**
+ * Reset Config to its shipped values and apply a profile's overrides
+ * @param {string} id - Profile id
+ */
+export function applyDifficulty(id) {
+    const profile = getDifficulty(id);
+
+    applyConfig(BASE_CONFIG);
+    applyConfig(profile.overrides);
+    Config.DIFFICULTY = profile.id;
+}
+
+/**
+ * Load the player's last chosen profile id
+ * @returns {string}
+ */
+export function loadDifficulty() {
+    if (typeof localStorage === 'undefined') return DEFAULT_DIFFICULTY;
+
+    try {
+        return getDifficulty(localStorage.getItem(STORAGE_KEY)).id;
+    } catch (e) {
+        return DEFAULT_DIFFICULTY;
+    }
+}
+
+/**
+ * Remember the player's chosen profile id
+ * @param {string} id
+ */
+export function saveDifficulty(id) {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, id);
+    } catch (e) {
+        console.warn('Could not save difficulty:', e);
+    }
+}
@@ -3,16 +3,41 @@
  * Orchestrates all game systems and manages the game loop
  */
 
-import { Config } from './Config.js';
+import { Config, snapshotConfig, applyConfig } from './Config.js';
 import { gameState } from './GameState.js';
+import { PhaseMachine, PLAYING_PHASES } from './PhaseMachine.js';
+import { PLAY_MODES, DEFAULT_PLAY_MODE, getPlayMode } from './PlayModes.js';
+import { gradeLanding } from './Landing.js';
+import {
+    DIFFICULTY_PROFILES,
+    getDifficulty,
+    applyDifficulty,
+    loadDifficulty,
+    saveDifficulty
+} from './Difficulty.js';
 import { SceneManager } from '../systems/SceneManager.js';
 import { CollisionSystem } from '../systems/CollisionSystem.js';
 import { UIManager } from '../systems/UIManager.js';
+import { createNullUIManager } from '../systems/NullUIManager.js';
 import { audioSystem } from '../systems/AudioSystem.js';
-import { inputSystem } from '../systems/InputSystem.js';
+import { inputSystem, createIdleActions, getPilotActions } from '../systems/InputSystem.js';
+import { ReplayRecorder, ReplayPlayer } from '../systems/ReplaySystem.js';
+import { highScoreSystem } from '../systems/HighScoreSystem.js';
+import { saveSystem } from '../systems/SaveSystem.js';
+import { LevelManager, strandAstronauts } from '../systems/LevelManager.js';
+import { LevelEditor } from '../systems/LevelEditor.js';
+import { VersusClient, VERSUS_MESSAGES, ROOM_PATTERN, readRemoteNumber } from '../systems/VersusClient.js';
+import { ghostSystem, GhostRecorder, GhostPlayer } from '../systems/GhostSystem.js';
+import { achievementSystem } from '../systems/AchievementSystem.js';
+import { statisticsSystem } from '../systems/StatisticsSystem.js';
+import { ComboTracker } from '../systems/ComboSystem.js';
+import { rng, cosmeticRng, createSeed } from '../utils/Random.js';
 import {
     Lander,
+    GhostLander,
     Meteor,
+    FlagshipMode,
+    FlagshipShot,
     Astronaut,
     Bullet,
     Mothership,
@@ -21,80 +46,373 @@ import {
 } from '../entities/index.js';
 
 export class Game {
-    constructor(containerId) {
-        this.container = document.getElementById(containerId);
-        if (!this.container) {
-            throw new Error(`Container element '${containerId}' not found`);
+    /**
+     * @param {string|null} containerId - Id of the element to render into
+     * @param {Object} [options]
+     * @param {boolean} [options.headless=false] - Run without renderer, DOM UI,
+     *   keyboard, audio or animation loop; drive the game with step()
+     * @param {Object|null} [options.levels=null] - Authored level set (levels/levels.json);
+     *   without one every level is generated
+     */
+    constructor(containerId, options = {}) {
+        this.headless = Boolean(options.headless);
+        this.container = null;
+
+        if (!this.headless) {
+            this.container = document.getElementById(containerId);
+            if (!this.container) {
+                throw new Error(`Container element '${containerId}' not found`);
+            }
         }
 
+        // Phase transitions
+        this.phases = new PhaseMachine(gameState, this.createPhaseHooks());
+
         // Systems
         this.sceneManager = new SceneManager(this.container);
         this.collisionSystem = new CollisionSystem();
-        this.uiManager = new UIManager();
+        this.uiManager = this.headless ? createNullUIManager() : new UIManager();
+
+        // Levels: the player's level set, and the definition of the level in play
+        this.levelSet = options.levels || null;
+        this.levelManager = new LevelManager(this.levelSet);
+        this.level = null;
+
+        // Level editor, created on first use, and the editor level being test-played
+        this.editor = null;
+        this.editorTest = null;
+
+        // Versus relay connection, created on first use, the room to join and
+        // the match being raced (seed, target, opponent's ghost and the result)
+        this.versusClient = null;
+        this.versusRoom = 'meteor';
+        this.versus = null;
 
-        // Entities
-        this.lander = null;
+        // Entities (landers and their astronauts are indexed by pilot)
+        this.landers = [];
         this.mothership = null;
         this.meteors = [];
         this.landingPads = [];
         this.bullets = [];
+        this.flagshipShots = [];
         this.explosions = [];
-        this.astronaut = null;
+        this.astronauts = [];
+
+        // Actions applied on the current simulation step
+        this.actions = createIdleActions();
+
+        // Difficulty profile and play mode chosen on the title screen
+        this.difficulty = loadDifficulty();
+        this.playMode = DEFAULT_PLAY_MODE;
+
+        // Replay recording and playback
+        this.replayRecorder = new ReplayRecorder();
+        this.replayPlayer = null;
+        this.lastReplay = null;
+        this.configBeforeReplay = null;
+
+        // Statistics of the last live run to finish, for the breakdown screen
+        this.lastRunStatistics = null;
+
+        // Personal best ghosts: the path of the run in play, and the best run
+        // on its seed being raced (its player, lander and events reached so far)
+        this.ghostRecorder = new GhostRecorder();
+        this.ghostRace = null;
+
+        // Score multiplier earned by kill chains, rescues and fast round trips
+        this.combo = new ComboTracker(gameState);
+
+        // Phase to resume to after a pause
+        this.pausedPhase = null;
 
         // Timing
         this.lastTime = 0;
+        this.accumulator = 0;
         this.animationId = null;
 
         // Bind methods
         this.gameLoop = this.gameLoop.bind(this);
-        this.handleSpacePress = this.handleSpacePress.bind(this);
+        this.handlePausePress = this.handlePausePress.bind(this);
+        this.handleStateChange = this.handleStateChange.bind(this);
+        this.handleLevelUp = this.handleLevelUp.bind(this);
+        this.handleLevelFailed = this.handleLevelFailed.bind(this);
+        this.handleExtraLife = this.handleExtraLife.bind(this);
+        this.handlePadAstronauts = this.handlePadAstronauts.bind(this);
+        this.handleAchievementUnlock = this.handleAchievementUnlock.bind(this);
 
         this.init();
     }
 
+    /**
+     * The first pilot's lander, the only one outside of co-op
+     * @returns {Lander|null}
+     */
+    get lander() {
+        return this.landers[0] || null;
+    }
+
     /**
      * Initialize game
      */
     init() {
-        // Setup input
-        inputSystem.init();
-        inputSystem.on('space', this.handleSpacePress);
+        applyDifficulty(this.difficulty);
+        this.level = this.levelManager.getLevel(1);
+
+        // Setup input (headless runs are driven through step())
+        if (!this.headless) {
+            inputSystem.init();
+        }
+        inputSystem.on('pause', this.handlePausePress);
 
         // Create static entities
         this.createMothership();
         this.createLandingPads();
 
         // Show title screen
-        this.uiManager.showTitleScreen();
-        this.setupStartButton();
+        this.showTitleScreen();
+        this.setupReplayControls();
 
         // Subscribe to game state changes
         this.setupStateListeners();
 
         // Start render loop (for title screen animation)
-        this.startLoop();
+        if (!this.headless) {
+            this.startLoop();
+        }
+    }
+
+    /**
+     * Build the enter/exit hooks run by the phase machine
+     * @returns {Object<string, {enter?: Function, exit?: Function}>}
+     */
+    createPhaseHooks() {
+        return {
+            [Config.PHASE.PAUSED]: {
+                enter: () => {
+                    inputSystem.releaseAll();
+                    this.uiManager.showPauseMenu();
+                    this.setupPauseMenuButtons();
+                },
+                exit: () => {
+                    this.uiManager.hideMessageOverlay();
+                    this.uiManager.showControlsHelp();
+                }
+            }
+        };
+    }
+
+    /**
+     * Build the enter/exit hooks run by each lander's flight phase machine
+     * @returns {Object<string, {enter?: Function, exit?: Function}>}
+     */
+    createFlightHooks() {
+        return {
+            [Config.PHASE.LANDED]: {
+                enter: () => audioSystem.play('land')
+            }
+        };
     }
 
     /**
      * Setup game state change listeners
      */
     setupStateListeners() {
-        gameState.on('change', (key, value) => {
-            this.uiManager.updateAll(gameState.state);
+        gameState.on('change', this.handleStateChange);
+        gameState.on('levelUp', this.handleLevelUp);
+        gameState.on('levelFailed', this.handleLevelFailed);
+        gameState.on('extraLife', this.handleExtraLife);
+        gameState.on('padAstronauts', this.handlePadAstronauts);
+
+        achievementSystem.connect(gameState, this.collisionSystem);
+        achievementSystem.on('unlock', this.handleAchievementUnlock);
+        statisticsSystem.connect(gameState, this.collisionSystem);
+    }
+
+    /**
+     * Handle any game state change
+     */
+    handleStateChange() {
+        this.uiManager.updateAll(gameState.state);
+        if (this.versus) {
+            this.uiManager.updateVersus(this.getVersusStatus());
+        }
+    }
+
+    /**
+     * Handle level up
+     * @param {number} level
+     */
+    handleLevelUp(level) {
+        // A test run ends once its level is cleared (at the end of the step)
+        if (this.editorTest) {
+            this.editorTest.outcome = 'Level cleared';
+            return;
+        }
+
+        this.loadLevel(level);
+    }
+
+    /**
+     * Start a level over once its last astronaut is accounted for with some lost
+     * @param {number} level
+     */
+    handleLevelFailed(level) {
+        if (this.editorTest) {
+            this.editorTest.outcome = 'Level failed';
+            return;
+        }
+
+        this.uiManager.showLevelFailed();
+        this.loadLevel(level);
+    }
+
+    /**
+     * Celebrate extra lives awarded for score
+     * @param {number} count - Lives awarded
+     */
+    handleExtraLife(count) {
+        audioSystem.play('extraLife');
+        this.uiManager.updateLives(gameState.get('lives'), count);
+    }
+
+    /**
+     * Show the astronauts still stranded on each pad, and the oxygen of the neediest
+     * @param {Array<number[]>|null} pads - Oxygen of each astronaut, by pad index;
+     *   null between levels
+     */
+    handlePadAstronauts(pads) {
+        // Astronauts of another level than the one on screen are shown once its pads are built
+        if (!pads || pads.length !== this.landingPads.length) return;
+
+        this.landingPads.forEach((pad, i) => {
+            const oxygen = pads[i];
+            if (!Array.isArray(oxygen)) return;
+
+            pad.setAstronauts(oxygen.length);
+            pad.setOxygen(oxygen.length ? oxygen[0] : 0, this.level.oxygen);
         });
+    }
+
+    /**
+     * Announce a newly unlocked achievement
+     * @param {Object} achievement
+     */
+    handleAchievementUnlock(achievement) {
+        this.uiManager.showAchievementToast(achievement);
+    }
+
+    /**
+     * Build the pads and meteor field of a level
+     * @param {number} number - Level number, starting at 1
+     */
+    loadLevel(number) {
+        this.level = this.levelManager.getLevel(number);
+        this.createLandingPads();
+        this.createMeteors();
+    }
+
+    /**
+     * Show the title screen with the difficulty selector, the selected
+     * profile's high scores and, if saved, the continue option
+     */
+    showTitleScreen() {
+        this.uiManager.showTitleScreen(highScoreSystem.getEntries(this.difficulty), {
+            canContinue: saveSystem.hasSave(),
+            difficulties: Object.values(DIFFICULTY_PROFILES),
+            difficulty: getDifficulty(this.difficulty),
+            playModes: Object.values(PLAY_MODES),
+            playMode: getPlayMode(this.playMode),
+            achievements: achievementSystem.getAll()
+        });
+        this.setupStartButton();
+        this.setupDifficultyButtons();
+        this.setupPlayModeButtons();
+    }
+
+    /**
+     * Setup title screen play mode button click handlers
+     */
+    setupPlayModeButtons() {
+        const buttons = this.uiManager.getPlayModeButtons();
+        if (!buttons) return;
+
+        buttons.forEach(button => {
+            button.addEventListener('click', () => this.selectPlayMode(button.dataset.mode));
+        });
+    }
+
+    /**
+     * Choose the play mode for new runs
+     * @param {string} id - Play mode id
+     */
+    selectPlayMode(id) {
+        this.playMode = getPlayMode(id).id;
+
+        if (gameState.get('phase') === Config.PHASE.TITLE) {
+            this.showTitleScreen();
+        }
+    }
+
+    /**
+     * Setup title screen difficulty button click handlers
+     */
+    setupDifficultyButtons() {
+        const buttons = this.uiManager.getDifficultyButtons();
+        if (!buttons) return;
 
-        gameState.on('levelUp', (level) => {
-            this.createMeteors();
+        buttons.forEach(button => {
+            button.addEventListener('click', () => this.selectDifficulty(button.dataset.difficulty));
         });
     }
 
     /**
-     * Setup start button click handler
+     * Choose the difficulty profile for new runs and remember it
+     * @param {string} id - Profile id
+     */
+    selectDifficulty(id) {
+        this.difficulty = getDifficulty(id).id;
+        saveDifficulty(this.difficulty);
+        applyDifficulty(this.difficulty);
+
+        if (gameState.get('phase') === Config.PHASE.TITLE) {
+            this.showTitleScreen();
+        }
+    }
+
+    /**
+     * Setup start and continue button click handlers
      */
     setupStartButton() {
         const startBtn = this.uiManager.getStartButton();
         if (startBtn) {
-            startBtn.addEventListener('click', () => this.startGame());
+            startBtn.addEventListener('click', () => this.startMission());
+        }
+
+        const continueBtn = this.uiManager.getContinueButton();
+        if (continueBtn) {
+            continueBtn.addEventListener('click', () => this.continueGame());
+        }
+
+        const editorBtn = this.uiManager.getEditorButton();
+        if (editorBtn) {
+            editorBtn.addEventListener('click', () => this.openEditor());
+        }
+
+        const achievementsBtn = this.uiManager.getAchievementsButton();
+        if (achievementsBtn) {
+            achievementsBtn.addEventListener('click', () => this.showAchievements());
+        }
+    }
+
+    /**
+     * Show the achievements gallery, which goes back to the title screen
+     */
+    showAchievements() {
+        this.uiManager.showAchievements(achievementSystem.getAll());
+
+        const backBtn = this.uiManager.getAchievementsBackButton();
+        if (backBtn) {
+            backBtn.addEventListener('click', () => this.showTitleScreen());
         }
     }
 
@@ -104,7 +422,282 @@ export class Game {
     setupRestartButton() {
         const restartBtn = this.uiManager.getRestartButton();
         if (restartBtn) {
-            restartBtn.addEventListener('click', () => this.startGame());
+            restartBtn.addEventListener('click', () => this.startMission());
+        }
+
+        const ghostBtn = this.uiManager.getRaceGhostButton();
+        if (ghostBtn) {
+            const seed = gameState.get('seed');
+            const difficulty = Config.DIFFICULTY;
+            ghostBtn.addEventListener('click', () => this.raceGhost(seed, difficulty));
+        }
+    }
+
+    /**
+     * Start a new game in the selected play mode
+     * Versus games start from the lobby, once an opponent has joined;
+     * editor test runs restart as they are
+     */
+    startMission() {
+        this.leaveVersus();
+
+        if (getPlayMode(this.playMode).online && !this.editorTest) {
+            // The lobby is entered from the title screen
+            if (gameState.get('phase') !== Config.PHASE.TITLE) {
+                this.quitToTitle();
+            }
+            this.showVersusLobby();
+        } else {
+            this.startGame();
+        }
+    }
+
+    /**
+     * Show the versus lobby, where players join a room on the relay
+     * @param {string} [status] - Connection status to show
+     */
+    showVersusLobby(status = '') {
+        this.uiManager.showVersusLobby(this.versusRoom, Config.VERSUS_SERVER_URL, status);
+
+        const controls = this.uiManager.getVersusLobbyControls();
+        if (!controls) return;
+
+        const { room, join, back } = controls;
+        if (join) {
+            join.addEventListener('click', () => this.joinVersus(room ? room.value.trim() : this.versusRoom));
+        }
+        if (back) {
+            back.addEventListener('click', () => {
+                this.leaveVersus();
+                this.showTitleScreen();
+            });
+        }
+    }
+
+    /**
+     * Create the relay client and route its messages into the game
+     * @returns {VersusClient}
+     */
+    createVersusClient() {
+        const client = new VersusClient();
+
+        client.on(VERSUS_MESSAGES.WAITING, ({ room }) => {
+            this.uiManager.updateVersusLobby(`Waiting for an opponent to join room ${room}...`);
+        });
+        client.on(VERSUS_MESSAGES.START, message => this.startVersus(message));
+        client.on(VERSUS_MESSAGES.STATE, message => this.updateOpponent(message));
+        client.on(VERSUS_MESSAGES.RESULT, ({ winner, reason }) => this.settleVersus(winner, reason));
+        client.on(VERSUS_MESSAGES.ERROR, ({ message }) => {
+            if (this.versus) {
+                console.warn('Versus relay error:', message);
+            } else {
+                this.uiManager.updateVersusLobby(message);
+            }
+        });
+        client.on('disconnect', () => {
+            if (this.versus) {
+                this.settleVersus(null, 'disconnected');
+            } else {
+                this.uiManager.updateVersusLobby('Connection to the relay lost');
+            }
+        });
+
+        return client;
+    }
+
+    /**
+     * Connect to the relay and wait in a room for an opponent
+     * @param {string} room - Room code shared with the opponent
+     */
+    joinVersus(room) {
+        if (!this.versusClient) {
+            this.versusClient = this.createVersusClient();
+        }
+
+        // Remembered for the next visit to the lobby; the client reports invalid codes
+        if (ROOM_PATTERN.test(room)) {
+            this.versusRoom = room;
+        }
+        this.uiManager.updateVersusLobby(`Connecting to ${Config.VERSUS_SERVER_URL}...`);
+        this.versusClient.connect(Config.VERSUS_SERVER_URL, room, this.difficulty);
+    }
+
+    /**
+     * Start a versus match on the seed and difficulty the relay handed out
+     * @param {{seed: number, target: number, difficulty: string, slot: number}} match
+     */
+    startVersus({ seed, target, difficulty, slot }) {
+        this.versus = {
+            seed,
+            target,
+            difficulty: getDifficulty(difficulty).id,
+            slot,
+            opponent: { rescued: 0, lives: Config.INITIAL_LIVES },
+            steps: 0,
+            claimed: false,
+            result: null,
+            ghost: new GhostLander()
+        };
+        this.versus.ghost.addToScene(this.sceneManager.getScene());
+
+        this.startGame(seed);
+    }
+
+    /**
+     * Show the opponent's latest state: their ghost and their progress
+     * The relay passes on whatever the opponent sent, so only numbers are
+     * taken; anything else keeps the last value shown
+     * @param {{pose: Object, rescued: number, lives: number}} state
+     */
+    updateOpponent({ pose, rescued, lives }) {
+        if (!this.versus) return;
+
+        const { opponent } = this.versus;
+        const progress = { rescued: readRemoteNumber(rescued), lives: readRemoteNumber(lives) };
+        Object.entries(progress).forEach(([key, value]) => {
+            if (value !== null) opponent[key] = value;
+        });
+
+        if (pose && typeof pose === 'object') {
+            const [x, y, tilt, thrust] = [pose.x, pose.y, pose.tilt, pose.thrust].map(readRemoteNumber);
+            if ([x, y, tilt, thrust].every(value => value !== null)) {
+                this.versus.ghost.setPose({ x, y, tilt, thrust, visible: Boolean(pose.visible) });
+            }
+        }
+        this.uiManager.updateVersus(this.getVersusStatus());
+    }
+
+    /**
+     * Share this step's progress with the opponent and end the race once it is decided
+     * Runs at the end of every live versus step
+     */
+    updateVersus() {
+        const versus = this.versus;
+        const rescued = gameState.get('astronautsRescued');
+
+        versus.steps++;
+        if (versus.steps % Config.VERSUS_SYNC_INTERVAL === 0) {
+            this.versusClient.send(VERSUS_MESSAGES.STATE, {
+                pose: this.lander.getPose(),
+                rescued,
+                lives: gameState.get('lives')
+            });
+        }
+
+        // The relay settles who got there first
+        if (rescued >= versus.target && !versus.claimed) {
+            versus.claimed = true;
+            this.versusClient.send(VERSUS_MESSAGES.FINISH, { rescued });
+        }
+
+        if (versus.result && PLAYING_PHASES.includes(gameState.get('phase'))) {
+            this.gameOver();
+        }
+    }
+
+    /**
+     * Record the outcome of the match
+     * The race itself ends at the end of the next step; a player already out
+     * of lives sees the outcome on the game over screen
+     * @param {number|null} winner - Slot of the winner, or null if the match was cut off
+     * @param {string} reason - 'target', 'out', 'forfeit' or 'disconnected'
+     */
+    settleVersus(winner, reason) {
+        if (!this.versus || this.versus.result) return;
+
+        this.versus.result = { winner, reason };
+        this.uiManager.updateVersus(this.getVersusStatus());
+    }
+
+    /**
+     * Describe the match for the HUD and the game over screen
+     * @returns {Object|null}
+     */
+    getVersusStatus() {
+        if (!this.versus) return null;
+
+        const { target, slot, opponent, result } = this.versus;
+        return {
+            target,
+            rescued: gameState.get('astronautsRescued'),
+            opponent,
+            result: result && { ...result, won: result.winner === slot }
+        };
+    }
+
+    /**
+     * Leave the versus room, forfeiting a match in progress, and remove the ghost
+     */
+    leaveVersus() {
+        if (this.versusClient) {
+            this.versusClient.close();
+        }
+
+        if (this.versus) {
+            this.versus.ghost.removeFromScene(this.sceneManager.getScene());
+            this.versus = null;
+        }
+        this.uiManager.updateVersus(null);
+    }
+
+    /**
+     * Setup game over replay button click handlers
+     */
+    setupReplayButtons() {
+        const buttons = this.uiManager.getReplayButtons();
+        if (!buttons) return;
+
+        const { watch, download } = buttons;
+        if (watch) {
+            watch.addEventListener('click', () => this.watchReplay(this.lastReplay));
+        }
+        if (download) {
+            download.addEventListener('click', () => {
+                this.uiManager.downloadJSON(`meteor-mission-${this.lastReplay.seed}.json`, this.lastReplay);
+            });
+        }
+    }
+
+    /**
+     * Setup replay playback control handlers
+     */
+    setupReplayControls() {
+        const controls = this.uiManager.getReplayControlButtons();
+        if (!controls) return;
+
+        if (controls.play) {
+            controls.play.addEventListener('click', () => this.toggleReplayPlaying());
+        }
+        if (controls.step) {
+            controls.step.addEventListener('click', () => this.stepReplayFrame());
+        }
+        if (controls.exit) {
+            controls.exit.addEventListener('click', () => this.quitToTitle());
+        }
+        controls.speeds.forEach(button => {
+            button.addEventListener('click', () => this.setReplaySpeed(Number(button.dataset.speed)));
+        });
+    }
+
+    /**
+     * Setup pause menu button click handlers
+     */
+    setupPauseMenuButtons() {
+        const buttons = this.uiManager.getPauseMenuButtons();
+        if (!buttons) return;
+
+        const { resume, restart, saveQuit, quit } = buttons;
+        if (resume) {
+            resume.addEventListener('click', () => this.resume());
+        }
+        if (restart) {
+            restart.addEventListener('click', () => this.startMission());
+        }
+        if (saveQuit) {
+            saveQuit.addEventListener('click', () => this.saveAndQuit());
+        }
+        if (quit) {
+            quit.addEventListener('click', () => this.abandonGame());
         }
     }
 
@@ -117,273 +710,1233 @@ export class Game {
     }
 
     /**
-     * Create landing pads
+     * Create the current level's landing pads
+     * A level being started strands its astronauts on them; a level being
+     * returned to (another player's turn, a saved game) keeps the ones left
+     */
+    createLandingPads() {
+        this.buildLandingPads();
+        this.showPadAstronauts();
+    }
+
+    /**
+     * Replace the landing pads on screen with the current level's
+     */
+    buildLandingPads() {
+        this.landingPads.forEach(pad => pad.removeFromScene(this.sceneManager.getScene()));
+
+        this.landingPads = this.level.pads.map(({ x, width }, i) => {
+            const pad = new LandingPad(x, i, width, this.level.padAstronauts[i]);
+            pad.addToScene(this.sceneManager.getScene());
+            return pad;
+        });
+    }
+
+    /**
+     * Show the astronauts left on the pads, stranding a new level's first
+     */
+    showPadAstronauts() {
+        // Stranding the astronauts of a new level lights its pads
+        if (gameState.get('padAstronauts')) {
+            this.handlePadAstronauts(gameState.get('padAstronauts'));
+        } else {
+            gameState.setPadAstronauts(strandAstronauts(this.level));
+        }
+    }
+
+    /**
+     * Create the current level's meteors
+     */
+    createMeteors() {
+        // Remove existing meteors and their Flagships' shots
+        this.meteors.forEach(m => m.removeFromScene(this.sceneManager.getScene()));
+        this.meteors = [];
+        this.flagshipShots.forEach(shot => shot.removeFromScene(this.sceneManager.getScene()));
+        this.flagshipShots = [];
+
+        for (let i = 0; i < this.level.meteorCount; i++) {
+            const meteor = new Meteor(this.level);
+            meteor.addToScene(this.sceneManager.getScene());
+            this.meteors.push(meteor);
+        }
+    }
+
+    /**
+     * Create a lander for every pilot in play
+     * Co-op landers start either side of the docking bay
+     */
+    createLanders() {
+        const scene = this.sceneManager.getScene();
+        const pilots = gameState.getPilotCount();
+
+        this.landers.forEach(lander => lander.removeFromScene(scene));
+        this.landers = Array.from({ length: pilots }, (_, pilot) => {
+            const spawnX = pilots > 1 ? (pilot * 2 - 1) * Config.COOP_SPAWN_OFFSET : 0;
+            const lander = new Lander(pilot, spawnX);
+            this.setupFlight(lander);
+            lander.reset();
+            lander.addToScene(scene);
+            return lander;
+        });
+    }
+
+    /**
+     * Wire a lander's flight phase machine into the game
+     * With a single lander the game phase follows its flight phase
+     * @param {Lander} lander
+     */
+    setupFlight(lander) {
+        lander.flight.hooks = this.createFlightHooks();
+        lander.flight.on('dock', () => audioSystem.play('dock'));
+
+        if (gameState.getPilotCount() === 1) {
+            lander.flight.on('transition', ({ name, to }) => this.phases.transition(name, to));
+            lander.flight.on('land', () => this.handleGhostEvent('land'));
+            lander.flight.on('dock', () => this.handleGhostEvent('dock'));
+        }
+    }
+
+    /**
+     * Create the astronaut who runs to a lander on a landing pad
+     * @param {LandingPad} pad
+     * @param {number} pilot - Pilot of the landed lander
+     */
+    createAstronaut(pad, pilot) {
+        this.removeAstronaut(pilot);
+
+        this.astronauts[pilot] = new Astronaut(pad.padX);
+        this.astronauts[pilot].addToScene(this.sceneManager.getScene());
+    }
+
+    /**
+     * Send one of a pad's astronauts to a lander that landed on it
+     * They leave the pad now, and go back to it if the lander is lost before docking
+     * @param {LandingPad} pad
+     * @param {Lander} lander
+     */
+    takeAstronaut(pad, lander) {
+        lander.astronautOxygen = gameState.takeAstronaut(pad.padIndex);
+        lander.astronautPad = pad.padIndex;
+        this.createAstronaut(pad, lander.pilot);
+    }
+
+    /**
+     * Put the astronaut of a lost lander back on their pad
+     * @param {Lander} lander
+     */
+    returnAstronaut(lander) {
+        if (lander.astronautPad === null) return;
+
+        gameState.returnAstronaut(lander.astronautPad, lander.astronautOxygen);
+        lander.astronautPad = null;
+    }
+
+    /**
+     * Remove the astronaut running to a lander, if any
+     * @param {number} pilot
+     */
+    removeAstronaut(pilot) {
+        if (this.astronauts[pilot]) {
+            this.astronauts[pilot].removeFromScene(this.sceneManager.getScene());
+            this.astronauts[pilot] = null;
+        }
+    }
+
+    /**
+     * Create bullet
+     * Each lander has its own Config.MAX_BULLETS in flight
+     * @param {Lander} lander - Lander firing it
+     */
+    createBullet(lander) {
+        const inFlight = this.bullets.filter(bullet => bullet.owner === lander.pilot).length;
+        if (inFlight >= Config.MAX_BULLETS) return;
+
+        const bullet = new Bullet(lander.position, lander.pilot);
+        bullet.addToScene(this.sceneManager.getScene());
+        this.bullets.push(bullet);
+        audioSystem.play('shoot');
+        achievementSystem.recordShot();
+        statisticsSystem.recordShot();
+    }
+
+    /**
+     * Create explosion at position
+     * @param {THREE.Vector3} position
+     */
+    createExplosion(position) {
+        const explosion = new Explosion(position.clone());
+        explosion.addToScene(this.sceneManager.getScene());
+        this.explosions.push(explosion);
+    }
+
+    /**
+     * Handle a pilot pressing fire
+     * Out of fuel, fire calls the emergency tow instead
+     * @param {Lander} lander
+     */
+    handleFirePress(lander) {
+        if (!lander.isFlying()) return;
+
+        if (this.canCallTow(lander)) {
+            this.callTow(lander);
+        } else if (lander.getFlightPhase() === Config.PHASE.ASCENT) {
+            this.createBullet(lander);
+        }
+    }
+
+    /**
+     * Check if a lander can call the emergency tow: flying, out of fuel and
+     * not already being towed
+     * @param {Lander} lander
+     * @returns {boolean}
+     */
+    canCallTow(lander) {
+        return Config.EMERGENCY_TOW &&
+            !lander.towing &&
+            lander.getFlightPhase() !== Config.PHASE.LANDED &&
+            gameState.getFuel(lander.pilot) <= 0;
+    }
+
+    /**
+     * Have the mothership tow a lander home, at a score penalty
+     * @param {Lander} lander
+     */
+    callTow(lander) {
+        lander.startTow();
+        gameState.deductScore(Config.TOW_PENALTY);
+        audioSystem.play('tow');
+    }
+
+    /**
+     * Handle pause key press
+     * @param {boolean} pressed
+     */
+    handlePausePress(pressed) {
+        if (!pressed) return;
+
+        if (this.replayPlayer) {
+            this.toggleReplayPlaying();
+        } else if (this.isPaused()) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Check if the game is paused
+     * @returns {boolean}
+     */
+    isPaused() {
+        return gameState.get('phase') === Config.PHASE.PAUSED;
+    }
+
+    /**
+     * Pause the game, freezing the simulation until resumed
+     * Ignored outside of active play
+     */
+    pause() {
+        // Watching a replay only halts playback
+        if (this.replayPlayer) {
+            this.replayPlayer.playing = false;
+            this.uiManager.updateReplayControls(this.replayPlayer.getStatus());
+            return;
+        }
+
+        // In a versus race the opponent flies on while this side is paused
+        if (!this.phases.can('pause')) return;
+
+        this.pausedPhase = this.phases.getPhase();
+        this.phases.transition('pause');
+    }
+
+    /**
+     * Resume the game from where it was paused
+     */
+    resume() {
+        if (!this.isPaused()) return;
+
+        this.phases.transition('resume', this.pausedPhase);
+        this.pausedPhase = null;
+    }
+
+    /**
+     * Return to the title screen
+     */
+    quitToTitle() {
+        // Quitting a test run goes back to the editor
+        if (this.editorTest) {
+            this.endEditorTest('Test stopped');
+            return;
+        }
+
+        if (this.replayPlayer) {
+            this.stopReplay();
+        }
+        this.replayRecorder.stop();
+        this.ghostRecorder.stop();
+        this.endGhostRace();
+        this.leaveVersus();
+        achievementSystem.stopRun();
+        statisticsSystem.stopRun();
+
+        this.clearEntities();
+        this.pausedPhase = null;
+
+        this.phases.transition('quit');
+        gameState.reset();
+
+        this.level = this.levelManager.getLevel(1);
+        this.createLandingPads();
+
+        this.showTitleScreen();
+        this.uiManager.updateAll(gameState.state);
+    }
+
+    /**
+     * Give up the current game, discarding any save of it
+     */
+    abandonGame() {
+        // Test runs are never saved, so the player's save is left alone
+        if (!this.editorTest) {
+            saveSystem.clear();
+        }
+        this.quitToTitle();
+    }
+
+    /**
+     * Save the current game and return to the title screen
+     */
+    saveAndQuit() {
+        this.saveGame();
+        this.quitToTitle();
+    }
+
+    /**
+     * Check if there is a live game in progress that can be saved
+     * @returns {boolean}
+     */
+    canSave() {
+        const phase = gameState.get('phase');
+
+        return !this.replayPlayer && !this.editorTest && !this.versus && (
+            phase === Config.PHASE.DESCENT ||
+            phase === Config.PHASE.LANDED ||
+            phase === Config.PHASE.ASCENT ||
+            phase === Config.PHASE.PAUSED
+        );
+    }
+
+    /**
+     * Save the game in progress (on demand or when the page is closed)
+     * @returns {boolean} True if a save was written
+     */
+    saveGame() {
+        if (!this.canSave()) return false;
+        return saveSystem.save(this.createSnapshot());
+    }
+
+    /**
+     * Open the level editor on the current level set
+     */
+    openEditor() {
+        if (this.headless) return;
+
+        this.phases.transition('edit');
+        this.uiManager.hideMessageOverlay();
+        this.uiManager.hideControlsHelp();
+
+        if (!this.editor) {
+            this.editor = new LevelEditor({
+                container: this.uiManager.getEditorPanel(),
+                sceneManager: this.sceneManager,
+                levelSet: this.levelSet,
+                onChange: level => {
+                    // Pads are restranded with the edited level's astronauts
+                    this.level = level;
+                    gameState.set('padAstronauts', null);
+                    this.createLandingPads();
+                },
+                onTest: (levelSet, number) => this.testLevel(levelSet, number),
+                onExport: levelSet => this.uiManager.downloadJSON('levels.json', levelSet),
+                onExit: () => this.closeEditor()
+            });
+        }
+
+        this.editor.show();
+    }
+
+    /**
+     * Leave the level editor for the title screen
+     * Edits stay in the editor until exported; the game keeps its own level set
+     */
+    closeEditor() {
+        this.editor.hide();
+        this.quitToTitle();
+    }
+
+    /**
+     * Test-play a level from the editor
+     * The run is not recorded or saved and returns to the editor when it ends
+     * @param {Object} levelSet - Level set being edited
+     * @param {number} number - Level to play
+     */
+    testLevel(levelSet, number) {
+        this.editor.hide();
+        this.editorTest = { number, outcome: null };
+        this.levelManager.setLevels(levelSet);
+        this.startGame();
+    }
+
+    /**
+     * End a test run and go back to the editor
+     * @param {string} message - Outcome shown in the editor
+     */
+    endEditorTest(message) {
+        this.editorTest = null;
+        this.clearEntities();
+        this.pausedPhase = null;
+
+        this.levelManager.setLevels(this.levelSet);
+        this.phases.transition('edit');
+        gameState.reset();
+
+        this.uiManager.hideMessageOverlay();
+        this.uiManager.hideControlsHelp();
+        this.uiManager.updateAll(gameState.state);
+        this.editor.show(message);
+    }
+
+    /**
+     * Continue the saved game
+     * The game resumes paused so the player can get ready
+     */
+    continueGame() {
+        const snapshot = saveSystem.load();
+        if (!snapshot) {
+            this.showTitleScreen();
+            return;
+        }
+
+        if (!this.headless) {
+            audioSystem.init();
+        }
+
+        this.restoreSnapshot(snapshot);
+        this.uiManager.updateAll(gameState.state);
+        this.pause();
+    }
+
+    /**
+     * Capture everything needed to continue the current game later
+     * Explosions are cosmetic and are not kept
+     * @returns {Object} Plain data, safe to store as JSON
+     */
+    createSnapshot() {
+        return {
+            config: snapshotConfig(),
+            state: gameState.serialize(),
+            phase: this.pausedPhase || gameState.get('phase'),
+            rngState: rng.getState(),
+            actions: { ...this.actions },
+            levels: this.levelManager.getLevelSet(),
+            landers: this.landers.map(lander => lander.serialize()),
+            meteors: this.meteors.map(meteor => meteor.serialize()),
+            bullets: this.bullets.map(bullet => bullet.serialize()),
+            flagshipShots: this.flagshipShots.map(shot => shot.serialize()),
+            astronauts: this.astronauts.map(astronaut => (astronaut ? astronaut.serialize() : null)),
+            achievements: achievementSystem.serializeRun(),
+            statistics: statisticsSystem.serializeRun(),
+            combo: this.combo.serialize()
+        };
+    }
+
+    /**
+     * Rebuild a game from a snapshot made by createSnapshot()
+     * Saved games are not recorded, so they cannot be watched as a replay
+     * @param {Object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        const scene = this.sceneManager.getScene();
+
+        if (this.replayPlayer) {
+            this.stopReplay();
+        }
+        this.replayRecorder.stop();
+        this.lastReplay = null;
+        this.ghostRecorder.stop();
+        this.endGhostRace();
+        achievementSystem.startRun(snapshot.achievements);
+        statisticsSystem.startRun(snapshot.statistics);
+
+        applyConfig(snapshot.config);
+        this.clearEntities();
+
+        gameState.restore(snapshot.state);
+        this.combo.restore(snapshot.combo);
+        this.levelManager.setLevels(snapshot.levels);
+        this.level = this.levelManager.getLevel(gameState.get('level'));
+        this.createLandingPads();
+
+        this.phases.transition('continue', snapshot.phase);
+        this.pausedPhase = null;
+        this.actions = { ...snapshot.actions };
+        inputSystem.setCoop(gameState.getPilotCount() > 1);
+
+        this.createLanders();
+        this.landers.forEach((lander, pilot) => lander.restore(snapshot.landers[pilot]));
+
+        this.meteors = snapshot.meteors.map(data => {
+            const meteor = new Meteor(this.level);
+            meteor.restore(data);
+            meteor.addToScene(scene);
+            return meteor;
+        });
+
+        this.bullets = snapshot.bullets.map(data => {
+            const bullet = new Bullet({ x: 0, y: 0, z: 0 });
+            bullet.restore(data);
+            bullet.addToScene(scene);
+            return bullet;
+        });
+
+        this.flagshipShots = (snapshot.flagshipShots || []).map(data => {
+            const shot = new FlagshipShot({ x: 0, y: 0, z: 0 }, { x: 0, y: 1 });
+            shot.restore(data);
+            shot.addToScene(scene);
+            return shot;
+        });
+
+        this.astronauts = snapshot.astronauts.map(data => {
+            if (!data) return null;
+
+            const astronaut = new Astronaut(data.padX);
+            astronaut.restore(data);
+            astronaut.addToScene(scene);
+            return astronaut;
+        });
+
+        // Entity constructors draw random numbers; continue the saved sequence
+        rng.setState(snapshot.rngState);
+    }
+
+    /**
+     * Remove all per-game entities from the scene
+     */
+    clearEntities() {
+        const scene = this.sceneManager.getScene();
+
+        this.meteors.forEach(m => m.removeFromScene(scene));
+        this.meteors = [];
+        this.bullets.forEach(b => b.removeFromScene(scene));
+        this.bullets = [];
+        this.flagshipShots.forEach(shot => shot.removeFromScene(scene));
+        this.flagshipShots = [];
+        this.explosions.forEach(e => e.removeFromScene(scene));
+        this.explosions = [];
+
+        this.landers.forEach(lander => lander.removeFromScene(scene));
+        this.landers = [];
+        this.astronauts.forEach(astronaut => astronaut && astronaut.removeFromScene(scene));
+        this.astronauts = [];
+        this.uiManager.updateFuelWarnings([]);
+    }
+
+    /**
+     * Start the game
+     * @param {number} [seed] - RNG seed; the same seed and inputs replay the same run
+     */
+    startGame(seed = createSeed()) {
+        if (!this.headless) {
+            audioSystem.init();
+        }
+
+        rng.setSeed(seed);
+        this.actions = createIdleActions();
+
+        // Record live runs so they can be watched back; a new run replaces any save.
+        // Replays bring their own Config, profile included, and level set, and
+        // editor test runs bring their level set but are neither recorded nor saved
+        if (!this.replayPlayer) {
+            applyDifficulty(this.versus ? this.versus.difficulty : this.difficulty);
+        }
+        if (!this.replayPlayer && !this.editorTest) {
+            this.levelManager.setLevels(this.levelSet);
+            this.replayRecorder.start(rng.seed, { levels: this.levelSet, mode: this.playMode });
+            saveSystem.clear();
+        }
+
+        // Achievements are only earned, and statistics only kept, in live runs
+        if (!this.replayPlayer && !this.editorTest) {
+            achievementSystem.startRun();
+            statisticsSystem.startRun();
+        } else {
+            achievementSystem.stopRun();
+            statisticsSystem.stopRun();
+        }
+
+        // Replays bring their own play mode; test runs are always single player
+        let mode = getPlayMode(this.playMode);
+        if (this.replayPlayer) {
+            mode = getPlayMode(this.replayPlayer.getPlayMode());
+        } else if (this.editorTest) {
+            mode = getPlayMode(DEFAULT_PLAY_MODE);
+        }
+        inputSystem.setCoop(mode.pilots > 1);
+
+        // Live single player runs are tracked for a personal best ghost, and
+        // raced against the best run on their seed if there is one
+        this.ghostRecorder.stop();
+        this.endGhostRace();
+        if (!this.replayPlayer && !this.editorTest && !this.versus && mode.id === DEFAULT_PLAY_MODE) {
+            this.ghostRecorder.start();
+
+            const best = ghostSystem.getBest(this.difficulty, rng.seed);
+            if (best) {
+                this.startGhostRace(best);
+            }
+        }
+
+        const startLevel = this.editorTest ? this.editorTest.number : 1;
+
+        // Reset game state
+        gameState.reset(mode.players, mode.pilots);
+        gameState.set('seed', rng.seed);
+        gameState.set('level', startLevel);
+        this.combo.reset();
+        this.phases.transition('start');
+        this.pausedPhase = null;
+
+        // Create game entities
+        this.clearEntities();
+        this.loadLevel(startLevel);
+        this.createLanders();
+        this.landers.forEach(lander => this.combo.startTrip(lander.pilot));
+
+        // Update UI
+        this.uiManager.hideMessageOverlay();
+        this.uiManager.showControlsHelp();
+        this.uiManager.updateAll(gameState.state);
+    }
+
+    /**
+     * Handle game over
+     */
+    gameOver() {
+        this.phases.transition('gameOver');
+        this.uiManager.updateFuelWarnings([]);
+        achievementSystem.stopRun();
+
+        // Running out of lives loses a versus match still undecided
+        if (this.versus && !this.versus.result) {
+            this.versusClient.send(VERSUS_MESSAGES.OUT);
+        }
+
+        // A test run goes back to the editor at the end of the step
+        if (this.editorTest) {
+            this.editorTest.outcome = 'Game over';
+            return;
+        }
+
+        // Read before a replay restores the player's Config
+        const difficulty = Config.DIFFICULTY;
+        const wasReplay = Boolean(this.replayPlayer);
+        if (wasReplay) {
+            this.stopReplay();
+        } else {
+            this.lastReplay = this.replayRecorder.isRecording() ? this.replayRecorder.stop() : null;
+            this.lastRunStatistics = statisticsSystem.finishRun();
+            this.storeGhost(difficulty);
+            saveSystem.clear();
+        }
+
+        // Watched replays and headless runs never enter the table
+        if (wasReplay || this.headless) {
+            this.showGameOverScreen(difficulty);
+        } else {
+            this.enterHighScores(gameState.getPlayers(), 0, difficulty, []);
+        }
+    }
+
+    /**
+     * Offer each player in turn whose score qualifies a place in the table,
+     * then show the game over screen
+     * @param {Array<Object>} players - Final values of every player
+     * @param {number} index - Player to offer next
+     * @param {string} difficulty - Profile id the run was played on
+     * @param {number[]} ranks - Table rows of the entries added so far
+     */
+    enterHighScores(players, index, difficulty, ranks) {
+        if (index >= players.length) {
+            this.showGameOverScreen(difficulty, ranks);
+            return;
+        }
+
+        const { score, astronautsRescued, level } = players[index];
+        if (!highScoreSystem.qualifies(score, difficulty)) {
+            this.enterHighScores(players, index + 1, difficulty, ranks);
+            return;
+        }
+
+        const player = players.length > 1 ? index + 1 : null;
+        this.uiManager.showInitialsEntry(score, highScoreSystem.lastInitials, initials => {
+            const rank = highScoreSystem.add({ initials, score, rescued: astronautsRescued, level, difficulty });
+
+            // Earlier entries at or below the new one move down a row, or off the table
+            const shifted = ranks
+                .map(existing => (existing >= rank ? existing + 1 : existing))
+                .filter(existing => existing < Config.HIGH_SCORE_COUNT);
+
+            this.enterHighScores(players, index + 1, difficulty, [...shifted, rank]);
+        }, player);
+    }
+
+    /**
+     * Show the game over screen with the run's difficulty high-score table
+     * @param {string} difficulty - Profile id the run was played on
+     * @param {number[]} [highlightRanks] - Table rows of this run's entries
+     */
+    showGameOverScreen(difficulty, highlightRanks = []) {
+        const players = gameState.getPlayers();
+
+        this.uiManager.showGameOver(
+            gameState.get('score'),
+            gameState.get('astronautsRescued'),
+            gameState.get('level'),
+            gameState.get('seed'),
+            {
+                canReplay: Boolean(this.lastReplay),
+                highScores: highScoreSystem.getEntries(difficulty),
+                highlightRanks,
+                difficulty: getDifficulty(difficulty),
+                players: players.length > 1 ? players : null,
+                versus: this.getVersusStatus(),
+                canRaceGhost: !this.versus && Boolean(ghostSystem.getBest(difficulty, gameState.get('seed'))),
+                canShowBreakdown: Boolean(this.lastRunStatistics)
+            }
+        );
+        this.setupRestartButton();
+        this.setupReplayButtons();
+
+        const breakdownBtn = this.uiManager.getBreakdownButton();
+        if (breakdownBtn) {
+            breakdownBtn.addEventListener('click', () => this.showBreakdown(difficulty, highlightRanks));
+        }
+    }
+
+    /**
+     * Show the statistics of the last run next to the lifetime totals,
+     * going back to the game over screen
+     * @param {string} difficulty - Profile id the run was played on
+     * @param {number[]} highlightRanks - Table rows of the run's entries
+     */
+    showBreakdown(difficulty, highlightRanks) {
+        this.uiManager.showBreakdown(this.lastRunStatistics, statisticsSystem.getLifetime());
+
+        const backBtn = this.uiManager.getBreakdownBackButton();
+        if (backBtn) {
+            backBtn.addEventListener('click', () => this.showGameOverScreen(difficulty, highlightRanks));
+        }
+    }
+
+    /**
+     * Keep the finished run as the ghost of its seed if it is the player's best
+     * @param {string} difficulty - Profile id the run was played on
+     */
+    storeGhost(difficulty) {
+        if (!this.ghostRecorder.isRecording()) return;
+
+        ghostSystem.submit({
+            seed: gameState.get('seed'),
+            difficulty,
+            score: gameState.get('score'),
+            track: this.ghostRecorder.stop(),
+            replay: this.lastReplay
+        });
+    }
+
+    /**
+     * Replay a seed against the best run on it
+     * @param {number} seed
+     * @param {string} difficulty - Profile the best run was played on
+     */
+    raceGhost(seed, difficulty) {
+        this.playMode = DEFAULT_PLAY_MODE;
+        this.selectDifficulty(difficulty);
+        this.leaveVersus();
+        this.startGame(seed);
+    }
+
+    /**
+     * Show the best run on the seed as a ghost lander
+     * @param {Object} ghost - Stored best run
+     */
+    startGhostRace(ghost) {
+        this.ghostRace = {
+            player: new GhostPlayer(ghost),
+            lander: new GhostLander(),
+            counts: { land: 0, dock: 0 }
+        };
+        this.ghostRace.lander.addToScene(this.sceneManager.getScene());
+        this.uiManager.updateGhost({ score: ghost.score });
+    }
+
+    /**
+     * Stop racing the ghost and remove it
+     */
+    endGhostRace() {
+        if (this.ghostRace) {
+            this.ghostRace.lander.removeFromScene(this.sceneManager.getScene());
+            this.ghostRace = null;
+        }
+        this.uiManager.updateGhost(null);
+    }
+
+    /**
+     * Note a landing or docking for the ghost, and show how far ahead or behind
+     * the ghost the run is at the same landing or docking
+     * @param {string} type - 'land' or 'dock'
      */
-    createLandingPads() {
-        const padSpacing = Config.GAME_WIDTH / (Config.LANDING_PADS + 1);
+    handleGhostEvent(type) {
+        this.ghostRecorder.mark(type);
+        if (!this.ghostRace) return;
 
-        for (let i = 0; i < Config.LANDING_PADS; i++) {
-            const x = -Config.GAME_WIDTH / 2 + padSpacing * (i + 1);
-            const pad = new LandingPad(x, i);
-            pad.addToScene(this.sceneManager.getScene());
-            this.landingPads.push(pad);
-        }
+        const count = this.ghostRace.counts[type]++;
+        const ghostStep = this.ghostRace.player.getEventStep(type, count);
+        const delta = ghostStep === null
+            ? null
+            : (this.ghostRecorder.steps - ghostStep) * Config.FIXED_TIMESTEP;
+
+        this.uiManager.showGhostDelta(type, count + 1, delta);
     }
 
     /**
-     * Create meteors
+     * Move the ghost along its path and record this run's
+     * Runs at the end of every live step
      */
-    createMeteors() {
-        // Remove existing meteors
-        this.meteors.forEach(m => m.removeFromScene(this.sceneManager.getScene()));
-        this.meteors = [];
+    updateGhost() {
+        if (!this.ghostRecorder.isRecording()) return;
 
-        const count = Config.METEOR_COUNT + gameState.get('level') * Config.METEORS_PER_LEVEL;
-
-        for (let i = 0; i < count; i++) {
-            const meteor = new Meteor(gameState.get('level'));
-            meteor.addToScene(this.sceneManager.getScene());
-            this.meteors.push(meteor);
+        const step = this.ghostRecorder.steps;
+        if (this.ghostRace) {
+            this.ghostRace.lander.setPose(this.ghostRace.player.getPose(step));
         }
+        this.ghostRecorder.record(this.lander.getPose());
     }
 
     /**
-     * Create lander
+     * Watch a recorded run
+     * The run is replayed through the normal simulation with the recorded seed,
+     * Config values and per-step actions
+     * @param {Object} replay - Replay data from ReplayRecorder.stop() or a downloaded file
      */
-    createLander() {
-        if (this.lander) {
-            this.lander.removeFromScene(this.sceneManager.getScene());
-        }
+    watchReplay(replay) {
+        const player = new ReplayPlayer(replay);
+        this.leaveVersus();
 
-        this.lander = new Lander();
-        this.lander.reset();
-        this.lander.addToScene(this.sceneManager.getScene());
+        this.configBeforeReplay = snapshotConfig();
+        applyConfig(replay.config);
+        this.levelManager.setLevels(replay.levels || null);
+
+        this.replayPlayer = player;
+        this.startGame(replay.seed);
+
+        this.uiManager.showReplayControls();
+        this.uiManager.updateReplayControls(player.getStatus());
     }
 
     /**
-     * Create astronaut at landing pad
-     * @param {LandingPad} pad
+     * Stop replay playback and restore the player's Config and level set
      */
-    createAstronaut(pad) {
-        if (this.astronaut) {
-            this.astronaut.removeFromScene(this.sceneManager.getScene());
+    stopReplay() {
+        this.replayPlayer = null;
+
+        if (this.configBeforeReplay) {
+            applyConfig(this.configBeforeReplay);
+            this.configBeforeReplay = null;
         }
+        this.levelManager.setLevels(this.levelSet);
 
-        this.astronaut = new Astronaut(pad.padX);
-        this.astronaut.addToScene(this.sceneManager.getScene());
+        this.uiManager.hideReplayControls();
     }
 
     /**
-     * Create bullet
+     * Toggle replay between playing and paused
      */
-    createBullet() {
-        if (this.bullets.length >= Config.MAX_BULLETS) return;
+    toggleReplayPlaying() {
+        if (!this.replayPlayer) return;
 
-        const bullet = new Bullet(this.lander.position);
-        bullet.addToScene(this.sceneManager.getScene());
-        this.bullets.push(bullet);
-        audioSystem.play('shoot');
+        this.replayPlayer.togglePlaying();
+        this.uiManager.updateReplayControls(this.replayPlayer.getStatus());
     }
 
     /**
-     * Create explosion at position
-     * @param {THREE.Vector3} position
+     * Set replay playback speed
+     * @param {number} speed - 1, 2 or 4
      */
-    createExplosion(position) {
-        const explosion = new Explosion(position.clone());
-        explosion.addToScene(this.sceneManager.getScene());
-        this.explosions.push(explosion);
+    setReplaySpeed(speed) {
+        if (!this.replayPlayer) return;
+
+        this.replayPlayer.setSpeed(speed);
+        this.uiManager.updateReplayControls(this.replayPlayer.getStatus());
     }
 
     /**
-     * Handle space key press
-     * @param {boolean} pressed
+     * Advance a paused replay by a single simulation step
      */
-    handleSpacePress(pressed) {
-        if (pressed && gameState.get('phase') === Config.PHASE.ASCENT) {
-            this.createBullet();
+    stepReplayFrame() {
+        if (!this.replayPlayer || this.replayPlayer.playing) return;
+
+        this.update(Config.FIXED_TIMESTEP);
+
+        if (this.replayPlayer) {
+            this.uiManager.updateReplayControls(this.replayPlayer.getStatus());
         }
     }
 
     /**
-     * Start the game
+     * Handle a lander being wrecked
+     * In co-op the lives are shared: once they run out a wrecked lander is out
+     * of the game, and the game ends when no lander is left flying
+     * @param {Lander} lander
      */
-    startGame() {
-        audioSystem.init();
-
-        // Reset game state
-        gameState.reset();
-        gameState.set('phase', Config.PHASE.DESCENT);
-
-        // Create game entities
-        this.createMeteors();
-        this.createLander();
-
-        // Clear bullets and explosions
-        this.bullets.forEach(b => b.removeFromScene(this.sceneManager.getScene()));
-        this.bullets = [];
-        this.explosions.forEach(e => e.removeFromScene(this.sceneManager.getScene()));
-        this.explosions = [];
-
-        if (this.astronaut) {
-            this.astronaut.removeFromScene(this.sceneManager.getScene());
-            this.astronaut = null;
+    loseLife(lander) {
+        audioSystem.play('explosion');
+        this.createExplosion(lander.position);
+        this.combo.recordLoss();
+        this.returnAstronaut(lander);
+
+        const hasLives = gameState.get('lives') > 0 && gameState.loseLife();
+
+        if (hasLives) {
+            // Reset for next attempt once the delay has run in simulation time
+            lander.respawnTimer = Config.RESPAWN_DELAY;
+        } else if (this.landers.some(other => other !== lander && !other.retired)) {
+            lander.retire();
+            gameState.updateCrew(lander.pilot, { fuel: 0, hasAstronaut: false });
+            this.removeAstronaut(lander.pilot);
+        } else {
+            this.gameOver();
         }
-
-        // Update UI
-        this.uiManager.hideMessageOverlay();
-        this.uiManager.showControlsHelp();
-        this.uiManager.updateAll(gameState.state);
     }
 
     /**
-     * Handle game over
+     * Count down a wrecked lander's respawn delay and reset it when it expires
+     * @param {Lander} lander
+     * @param {number} deltaTime
      */
-    gameOver() {
-        gameState.set('phase', Config.PHASE.GAME_OVER);
-        this.uiManager.showGameOver(
-            gameState.get('score'),
-            gameState.get('astronautsRescued'),
-            gameState.get('level')
-        );
-        this.setupRestartButton();
+    updateRespawn(lander, deltaTime) {
+        if (lander.respawnTimer <= 0) return;
+
+        lander.respawnTimer -= deltaTime;
+        if (lander.respawnTimer > 0) return;
+
+        lander.respawnTimer = 0;
+        lander.flight.transition('respawn');
+        gameState.setAstronaut(false, lander.pilot);
+        lander.reset();
+        gameState.refillFuel(Config.FUEL_MAX, lander.pilot);
+        this.removeAstronaut(lander.pilot);
+        this.combo.startTrip(lander.pilot);
+
+        // With several players the turn passes on after every lost life
+        // (a co-op lander can still be respawning once the shared lives run out)
+        const nextPlayer = gameState.getNextPlayer();
+        if (nextPlayer !== -1 && nextPlayer !== gameState.get('activePlayer')) {
+            this.changeTurn(nextPlayer);
+        }
     }
 
     /**
-     * Handle losing a life
+     * Hand the lander to another player on the level they reached
+     * @param {number} index - Player index
      */
-    loseLife() {
-        audioSystem.play('explosion');
-        this.createExplosion(this.lander.position);
-
-        const hasLives = gameState.loseLife();
-
-        if (!hasLives) {
-            this.gameOver();
-        } else {
-            // Reset for next attempt
-            setTimeout(() => {
-                gameState.set('phase', Config.PHASE.DESCENT);
-                gameState.set('hasAstronaut', false);
-                this.lander.reset();
-                gameState.refillFuel(Config.FUEL_MAX);
-
-                if (this.astronaut) {
-                    this.astronaut.removeFromScene(this.sceneManager.getScene());
-                    this.astronaut = null;
-                }
-            }, 1000);
-        }
+    changeTurn(index) {
+        // The incoming player's pads go up before their astronauts are put back on them
+        this.level = this.levelManager.getLevel(gameState.getPlayers()[index].level);
+        this.buildLandingPads();
+        gameState.switchPlayer(index);
+        this.showPadAstronauts();
+
+        this.bullets.forEach(bullet => bullet.removeFromScene(this.sceneManager.getScene()));
+        this.bullets = [];
+        this.createMeteors();
     }
 
     /**
-     * Update lander based on input and phase
+     * Update a lander based on its pilot's actions and its flight phase
+     * @param {Lander} lander
      * @param {number} deltaTime
      */
-    updateLander(deltaTime) {
-        if (!this.lander || !this.lander.active) return;
+    updateLander(lander, deltaTime) {
+        if (!lander.active) return;
 
-        const phase = gameState.get('phase');
+        const phase = lander.getFlightPhase();
+        const actions = getPilotActions(this.actions, lander.pilot);
 
-        if (phase === Config.PHASE.DESCENT) {
-            this.updateDescentPhase(deltaTime);
+        if (lander.towing) {
+            lander.towToMothership();
+            lander.easeRotation(deltaTime);
+        } else if (phase === Config.PHASE.DESCENT) {
+            this.updateDescentPhase(lander, actions, deltaTime);
         } else if (phase === Config.PHASE.ASCENT) {
-            this.updateAscentPhase(deltaTime);
+            this.updateAscentPhase(lander, actions, deltaTime);
         }
 
-        this.lander.update(deltaTime);
+        lander.update(deltaTime);
+    }
+
+    /**
+     * Let a lander out of fuel drift: no thrust or steering, only gravity
+     * @param {Lander} lander
+     * @param {number} deltaTime
+     */
+    updatePowerless(lander, deltaTime) {
+        lander.applyGravity(deltaTime, this.level.gravity);
+        lander.easeRotation(deltaTime);
+        lander.setThrusterVisible(false);
     }
 
     /**
      * Update descent phase logic
+     * @param {Lander} lander
+     * @param {Object<string, boolean>} actions - The pilot's actions
      * @param {number} deltaTime
      */
-    updateDescentPhase(deltaTime) {
+    updateDescentPhase(lander, actions, deltaTime) {
+        if (gameState.getFuel(lander.pilot) <= 0) {
+            this.updatePowerless(lander, deltaTime);
+            return;
+        }
+
         // Apply gravity
-        this.lander.applyGravity();
+        lander.applyGravity(deltaTime, this.level.gravity);
 
         // Horizontal movement
-        if (inputSystem.isPressed('left')) {
-            this.lander.moveHorizontal(-1);
-        } else if (inputSystem.isPressed('right')) {
-            this.lander.moveHorizontal(1);
+        if (actions.left) {
+            lander.moveHorizontal(-1);
+        } else if (actions.right) {
+            lander.moveHorizontal(1);
         } else {
-            this.lander.easeRotation();
+            lander.easeHorizontal(deltaTime);
+            lander.easeRotation(deltaTime);
         }
 
         // Thrust
-        if (inputSystem.isPressed('up') && gameState.get('fuel') > 0) {
-            this.lander.applyThrust();
+        if (actions.up) {
+            lander.applyThrust(deltaTime);
             // Cap velocity so ship can only slow descent, never ascend
-            if (this.lander.velocity.y > 0) {
-                this.lander.velocity.y = 0;
+            if (lander.velocity.y > 0) {
+                lander.velocity.y = 0;
             }
-            gameState.consumeFuel(Config.FUEL_CONSUMPTION_RATE * deltaTime);
-            this.lander.setThrusterVisible(true);
-            if (Math.random() < 0.3) audioSystem.play('thrust');
+            gameState.consumeFuel(Config.FUEL_CONSUMPTION_RATE * deltaTime, lander.pilot);
+            lander.setThrusterVisible(true);
+            if (cosmeticRng.chance(0.3)) audioSystem.play('thrust');
         } else {
-            this.lander.setThrusterVisible(false);
+            lander.setThrusterVisible(false);
         }
     }
 
     /**
      * Update ascent phase logic
+     * @param {Lander} lander
+     * @param {Object<string, boolean>} actions - The pilot's actions
      * @param {number} deltaTime
      */
-    updateAscentPhase(deltaTime) {
+    updateAscentPhase(lander, actions, deltaTime) {
+        // Climbing takes fuel too: without it the lander coasts and falls back
+        if (gameState.getFuel(lander.pilot) <= 0) {
+            this.updatePowerless(lander, deltaTime);
+            return;
+        }
+
         // Base ascent
-        this.lander.velocity.y = Config.ASCENT_SPEED;
+        lander.velocity.y = Config.ASCENT_SPEED;
 
         // Horizontal movement (slower)
-        if (inputSystem.isPressed('left')) {
-            this.lander.moveHorizontal(-1, 0.7);
-        } else if (inputSystem.isPressed('right')) {
-            this.lander.moveHorizontal(1, 0.7);
+        if (actions.left) {
+            lander.moveHorizontal(-1, 0.7);
+        } else if (actions.right) {
+            lander.moveHorizontal(1, 0.7);
         } else {
-            this.lander.easeRotation();
+            lander.stopHorizontal();
+            lander.easeRotation(deltaTime);
         }
 
         // Boost
-        if (inputSystem.isPressed('space')) {
-            this.lander.boostAscent();
-            this.lander.setThrusterVisible(true, 0.8);
-        } else if (inputSystem.isPressed('up') && gameState.get('fuel') > 0) {
-            this.lander.velocity.y = Config.ASCENT_SPEED * 1.3;
-            gameState.consumeFuel(Config.FUEL_CONSUMPTION_RATE * deltaTime * 0.5);
-            this.lander.setThrusterVisible(true, 0.6);
+        if (actions.space) {
+            lander.boostAscent();
+            gameState.consumeFuel(Config.FUEL_BOOST_RATE * deltaTime, lander.pilot, 'boost');
+            lander.setThrusterVisible(true, 0.8);
+        } else if (actions.up) {
+            lander.velocity.y = Config.ASCENT_SPEED * 1.3;
+            gameState.consumeFuel(Config.FUEL_CONSUMPTION_RATE * deltaTime * 0.5, lander.pilot);
+            lander.setThrusterVisible(true, 0.6);
         } else {
-            this.lander.setThrusterVisible(true, 0.4);
+            gameState.consumeFuel(Config.FUEL_ASCENT_RATE * deltaTime, lander.pilot, 'ascent');
+            lander.setThrusterVisible(true, 0.4);
+        }
+    }
+
+    /**
+     * Use up the stranded astronauts' oxygen, losing those who run out
+     * @param {number} deltaTime
+     */
+    updateOxygen(deltaTime) {
+        const lost = gameState.consumeOxygen(deltaTime);
+
+        lost.forEach(() => {
+            audioSystem.play('astronautLost');
+            this.uiManager.showAstronautLost(Config.OXYGEN_PENALTY);
+            gameState.loseAstronaut(this.level.astronautsRequired);
+        });
+    }
+
+    /**
+     * Clear a level with nobody stranded on its pads as soon as it is in play:
+     * with no rescue or loss to count, it would otherwise never end
+     */
+    clearEmptyLevel() {
+        if (this.level.astronautsRequired === 0) {
+            gameState.checkLevelCleared(0);
+        }
+    }
+
+    /**
+     * Warn a lander's pilot as the fuel runs low and out, beeping while it
+     * flies on low fuel
+     * @param {Lander} lander
+     * @param {number} deltaTime
+     */
+    updateFuelWarning(lander, deltaTime) {
+        const warning = this.getFuelWarning(lander);
+        if (warning !== lander.fuelWarning) {
+            lander.fuelWarning = warning;
+            lander.fuelWarningTimer = 0;
+            this.uiManager.updateFuelWarnings(this.landers.map(other => other.fuelWarning), Config.EMERGENCY_TOW);
+        }
+
+        if (warning !== 'low' && warning !== 'empty') return;
+        if (lander.getFlightPhase() === Config.PHASE.LANDED) return;
+
+        lander.fuelWarningTimer -= deltaTime;
+        if (lander.fuelWarningTimer <= 0) {
+            audioSystem.play('fuelWarning');
+            // An empty tank beeps twice as often
+            lander.fuelWarningTimer = Config.FUEL_WARNING_INTERVAL / (warning === 'empty' ? 2 : 1);
         }
     }
 
     /**
-     * Update all meteors
+     * Get the fuel warning a lander should show
+     * @param {Lander} lander
+     * @returns {string|null} 'low', 'empty', 'tow' or null
+     */
+    getFuelWarning(lander) {
+        if (!lander.isFlying()) return null;
+        if (lander.towing) return 'tow';
+
+        const fuel = gameState.getFuel(lander.pilot);
+        if (fuel <= 0) return 'empty';
+        if (fuel < Config.FUEL_MAX * Config.FUEL_LOW_WARNING) return 'low';
+        return null;
+    }
+
+    /**
+     * Update all meteors; Flagships hunt the nearest lander
      * @param {number} deltaTime
      */
     updateMeteors(deltaTime) {
         const scene = this.sceneManager.getScene();
-        this.meteors.forEach(meteor => meteor.update(deltaTime, scene));
+
+        this.meteors.forEach(meteor => {
+            const { isFlagship, mode } = meteor;
+            const target = isFlagship ? this.getFlagshipTarget(meteor) : null;
+            const fires = meteor.update(deltaTime, scene, target);
+
+            if (!isFlagship && meteor.isFlagship) {
+                audioSystem.play('flagship');
+            } else if (meteor.mode === FlagshipMode.DIVE && mode !== FlagshipMode.DIVE) {
+                audioSystem.play('flagshipDive');
+            }
+
+            if (fires) {
+                this.fireFlagshipShot(meteor, target);
+            }
+        });
+    }
+
+    /**
+     * Find the lander a Flagship goes after: the nearest one in flight
+     * @param {Meteor} flagship
+     * @returns {Lander|null}
+     */
+    getFlagshipTarget(flagship) {
+        let target = null;
+        let nearest = Infinity;
+
+        this.landers.forEach(lander => {
+            const phase = lander.getFlightPhase();
+            if (!lander.isFlying() || lander.towing || phase === Config.PHASE.LANDED) return;
+
+            const distance = lander.position.distanceTo(flagship.position);
+            if (distance < nearest) {
+                nearest = distance;
+                target = lander;
+            }
+        });
+
+        return target;
+    }
+
+    /**
+     * Fire a shot from a Flagship at a lander
+     * @param {Meteor} flagship
+     * @param {Lander} lander
+     */
+    fireFlagshipShot(flagship, lander) {
+        const shot = new FlagshipShot(flagship.position, lander.position);
+        shot.addToScene(this.sceneManager.getScene());
+        this.flagshipShots.push(shot);
+        audioSystem.play('flagshipShoot');
+    }
+
+    /**
+     * Update Flagship shots
+     * @param {number} deltaTime
+     */
+    updateFlagshipShots(deltaTime) {
+        for (let i = this.flagshipShots.length - 1; i >= 0; i--) {
+            const shot = this.flagshipShots[i];
+            const active = shot.update(deltaTime);
+
+            if (!active) {
+                shot.removeFromScene(this.sceneManager.getScene());
+                this.flagshipShots.splice(i, 1);
+            }
+        }
     }
 
     /**
-     * Update astronaut
+     * Update the astronaut running to a landed lander
+     * @param {Lander} lander
      * @param {number} deltaTime
      */
-    updateAstronaut(deltaTime) {
-        if (!this.astronaut || gameState.get('phase') !== Config.PHASE.LANDED) return;
+    updateAstronaut(lander, deltaTime) {
+        const astronaut = this.astronauts[lander.pilot];
+        if (!astronaut || lander.getFlightPhase() !== Config.PHASE.LANDED) return;
 
-        const isAboard = this.astronaut.update(deltaTime, this.lander.position);
+        const isAboard = astronaut.update(deltaTime, lander.position);
 
-        if (this.astronaut.isBoarding() && !gameState.get('hasAstronaut')) {
+        if (astronaut.isBoarding() && !gameState.hasAstronaut(lander.pilot)) {
             audioSystem.play('pickup');
         }
 
         if (isAboard) {
-            this.astronaut.removeFromScene(this.sceneManager.getScene());
-            this.astronaut = null;
-            gameState.set('hasAstronaut', true);
-            gameState.set('phase', Config.PHASE.ASCENT);
-            this.lander.startAscent();
+            this.removeAstronaut(lander.pilot);
+            gameState.setAstronaut(true, lander.pilot);
+            lander.flight.transition('board');
+            lander.startAscent();
         }
     }
 
@@ -423,73 +1976,182 @@ export class Game {
      * Check all collisions
      */
     checkCollisions() {
-        const phase = gameState.get('phase');
+        // Nothing can collide outside of active play
+        if (!PLAYING_PHASES.includes(gameState.get('phase'))) return;
+
+        // Bullet vs Meteor collisions; a Flagship takes several hits
+        const bulletHits = this.collisionSystem.checkBulletMeteorCollisions(this.bullets, this.meteors);
+        bulletHits.forEach(({ bullet, meteor, destroyed }) => {
+            if (!destroyed) {
+                this.removeBullet(bullet);
+                meteor.takeHit();
+                audioSystem.play('flagshipHit');
+                return;
+            }
+
+            this.createExplosion(meteor.position);
+            audioSystem.play('explosion');
+            gameState.addScore(meteor.points);
+            this.combo.recordKill();
+
+            this.removeBullet(bullet);
+            meteor.removeFromScene(this.sceneManager.getScene());
+
+            const meteorIndex = this.meteors.indexOf(meteor);
+            if (meteorIndex > -1) this.meteors.splice(meteorIndex, 1);
 
-        if (phase === Config.PHASE.LANDED ||
-            phase === Config.PHASE.GAME_OVER ||
-            phase === Config.PHASE.TITLE) {
+            // Large meteors break up instead of clearing the way
+            if (meteor.canSplit()) {
+                meteor.split(this.level, bullet.owner).forEach(fragment => {
+                    fragment.addToScene(this.sceneManager.getScene());
+                    this.meteors.push(fragment);
+                });
+            }
+        });
+
+        // Co-op friendly fire: a bullet wrecks the other lander
+        if (Config.FRIENDLY_FIRE) {
+            const landerHits = this.collisionSystem.checkBulletLanderCollisions(this.bullets, this.landers);
+            landerHits.forEach(({ bullet, lander }) => {
+                this.removeBullet(bullet);
+                if (lander.isFlying()) this.loseLife(lander);
+            });
+        }
+
+        for (const lander of this.landers) {
+            // A lost life can end the game part way through the landers
+            if (!PLAYING_PHASES.includes(gameState.get('phase'))) return;
+
+            this.checkLanderCollisions(lander);
+        }
+    }
+
+    /**
+     * Check one lander against meteors, the play area, pads and the mothership
+     * @param {Lander} lander
+     */
+    checkLanderCollisions(lander) {
+        const phase = lander.getFlightPhase();
+
+        // Nothing can collide while landed, and a wrecked lander waits to respawn
+        if (phase === Config.PHASE.LANDED || !lander.isFlying()) return;
+
+        // A towed lander is carried clear of everything; the mothership refuels it
+        if (lander.towing) {
+            if (this.collisionSystem.checkDockingCollision(lander, this.mothership)) {
+                this.dockLander(lander);
+                gameState.refillFuel(Config.FUEL_MAX, lander.pilot);
+            }
             return;
         }
 
         // Lander vs Meteors
-        const hitMeteor = this.collisionSystem.checkLanderMeteorCollision(this.lander, this.meteors);
+        const hitMeteor = this.collisionSystem.checkLanderMeteorCollision(lander, this.meteors);
         if (hitMeteor) {
-            this.loseLife();
+            this.loseLife(lander);
             return;
         }
 
-        // Boundary check
-        if (this.collisionSystem.checkBoundaryCollision(this.lander)) {
-            this.loseLife();
+        // Lander vs Flagship shots
+        const hitShot = this.collisionSystem.checkShotLanderCollision(lander, this.flagshipShots);
+        if (hitShot) {
+            this.removeFlagshipShot(hitShot);
+            this.loseLife(lander);
             return;
         }
 
-        // Bullet vs Meteor collisions
-        const bulletHits = this.collisionSystem.checkBulletMeteorCollisions(this.bullets, this.meteors);
-        bulletHits.forEach(({ bullet, meteor }) => {
-            this.createExplosion(meteor.position);
-            audioSystem.play('explosion');
-            gameState.addScore(meteor.points);
-
-            bullet.removeFromScene(this.sceneManager.getScene());
-            meteor.removeFromScene(this.sceneManager.getScene());
-
-            const bulletIndex = this.bullets.indexOf(bullet);
-            if (bulletIndex > -1) this.bullets.splice(bulletIndex, 1);
-
-            const meteorIndex = this.meteors.indexOf(meteor);
-            if (meteorIndex > -1) this.meteors.splice(meteorIndex, 1);
-        });
+        // Boundary check
+        if (this.collisionSystem.checkBoundaryCollision(lander)) {
+            this.loseLife(lander);
+            return;
+        }
 
         // Phase-specific collisions
         if (phase === Config.PHASE.DESCENT) {
-            // Landing pad check
-            const pad = this.collisionSystem.checkLandingPadCollision(this.lander, this.landingPads);
-            if (pad) {
-                audioSystem.play('land');
-                gameState.set('phase', Config.PHASE.LANDED);
-                this.lander.setPosition(this.lander.position.x, -Config.GAME_HEIGHT / 2 + 3.5, 0);
-                this.lander.velocity = { x: 0, y: 0, z: 0 };
-                gameState.refillFuel(Config.FUEL_REFILL_ON_LAND);
-                gameState.addScore(Config.SCORE_LANDING);
-                this.createAstronaut(pad);
-            } else if (this.collisionSystem.checkGroundCollision(this.lander, this.landingPads)) {
-                this.loseLife();
+            // Touching down on a pad too fast wrecks the lander
+            if (this.collisionSystem.checkHardLanding(lander, this.landingPads)) {
+                this.loseLife(lander);
+                return;
             }
-        } else if (phase === Config.PHASE.ASCENT) {
-            // Docking check
-            if (this.collisionSystem.checkDockingCollision(this.lander, this.mothership)) {
-                audioSystem.play('dock');
 
-                if (gameState.get('hasAstronaut')) {
-                    gameState.rescueAstronaut();
-                    gameState.set('hasAstronaut', false);
+            // Landing pad check; gentler, straighter landings earn a bonus
+            const pad = this.collisionSystem.checkLandingPadCollision(lander, this.landingPads);
+            if (pad) {
+                const grade = gradeLanding(lander, pad);
+                lander.flight.transition('land');
+                lander.setPosition(lander.position.x, -Config.GAME_HEIGHT / 2 + 3.5, 0);
+                lander.velocity = { x: 0, y: 0, z: 0 };
+
+                // A pad with nobody left offers no fuel or points: the lander lifts off empty
+                if (!pad.hasAstronauts()) {
+                    this.uiManager.showEmptyPad();
+                    lander.flight.transition('board');
+                    lander.startAscent();
+                    return;
                 }
 
-                gameState.set('phase', Config.PHASE.DESCENT);
-                this.lander.reset();
+                gameState.refillFuel(this.level.fuelRefill, lander.pilot);
+                gameState.addScore(Config.SCORE_LANDING + grade.bonus);
+                this.uiManager.showLandingGrade(grade);
+                this.takeAstronaut(pad, lander);
+            } else if (this.collisionSystem.checkGroundCollision(lander, this.landingPads)) {
+                this.loseLife(lander);
             }
+        } else if (phase === Config.PHASE.ASCENT) {
+            // Docking check; a lander falling back without fuel crashes, pads included
+            if (this.collisionSystem.checkDockingCollision(lander, this.mothership)) {
+                this.dockLander(lander);
+            } else if (lander.velocity.y < 0 && this.collisionSystem.checkGroundCollision(lander, [])) {
+                this.loseLife(lander);
+            }
+        }
+    }
+
+    /**
+     * Dock a lander with the mothership, rescuing its astronaut if it carries one,
+     * and send it out again
+     * @param {Lander} lander
+     */
+    dockLander(lander) {
+        if (gameState.hasAstronaut(lander.pilot)) {
+            // The sooner an astronaut was picked up, the bigger the time bonus
+            const bonus = Math.round(lander.astronautOxygen * Config.OXYGEN_BONUS_RATE);
+
+            gameState.rescueAstronaut(this.level.astronautsRequired);
+            gameState.setAstronaut(false, lander.pilot);
+            gameState.addScore(bonus);
+            this.uiManager.showTimeBonus(bonus);
+            this.combo.recordRescue(lander.pilot);
+        }
+
+        // A lander towed home during its descent has no ascent to end
+        if (lander.getFlightPhase() === Config.PHASE.ASCENT) {
+            lander.flight.transition('dock');
         }
+        lander.reset();
+        this.combo.startTrip(lander.pilot);
+    }
+
+    /**
+     * Remove a bullet from play
+     * @param {Bullet} bullet
+     */
+    removeBullet(bullet) {
+        bullet.removeFromScene(this.sceneManager.getScene());
+
+        const index = this.bullets.indexOf(bullet);
+        if (index > -1) this.bullets.splice(index, 1);
+    }
+
+    /**
+     * Remove a Flagship shot from play
+     * @param {FlagshipShot} shot
+     */
+    removeFlagshipShot(shot) {
+        shot.removeFromScene(this.sceneManager.getScene());
+
+        const index = this.flagshipShots.indexOf(shot);
+        if (index > -1) this.flagshipShots.splice(index, 1);
     }
 
     /**
@@ -502,32 +2164,152 @@ export class Game {
     }
 
     /**
-     * Main game loop
-     * @param {number} currentTime
+     * Get entities whose rendered position is interpolated between steps
+     * @returns {Entity[]}
      */
-    gameLoop(currentTime) {
-        this.animationId = requestAnimationFrame(this.gameLoop);
-
-        const deltaTime = (currentTime - this.lastTime) / 1000 || 0.016;
-        this.lastTime = currentTime;
+    getInterpolatedEntities() {
+        return [
+            ...this.meteors,
+            ...this.bullets,
+            ...this.flagshipShots,
+            ...this.landers,
+            ...this.astronauts.filter(astronaut => astronaut)
+        ];
+    }
 
+    /**
+     * Advance the simulation by one fixed step
+     * @param {number} deltaTime - Always Config.FIXED_TIMESTEP
+     */
+    update(deltaTime) {
         const phase = gameState.get('phase');
 
+        // Everything freezes while paused, including animations
+        if (phase === Config.PHASE.PAUSED) return;
+
+        // Sample this step's input: live play (recorded) or a replay being watched
+        const actions = this.replayPlayer ? this.replayPlayer.nextActions() : inputSystem.sampleActions();
+        this.replayRecorder.record(actions);
+
+        this.landers.forEach(lander => {
+            const fire = getPilotActions(actions, lander.pilot).space;
+            if (fire && !getPilotActions(this.actions, lander.pilot).space) {
+                this.handleFirePress(lander);
+            }
+        });
+        this.actions = actions;
+
+        this.getInterpolatedEntities().forEach(entity => entity.storePreviousPosition());
+
         // Update game logic only during active play
-        if (phase !== Config.PHASE.TITLE && phase !== Config.PHASE.GAME_OVER) {
-            this.updateLander(deltaTime);
+        if (PLAYING_PHASES.includes(phase)) {
+            this.landers.forEach(lander => this.updateLander(lander, deltaTime));
             this.updateMeteors(deltaTime);
-            this.updateAstronaut(deltaTime);
+            this.landers.forEach(lander => this.updateAstronaut(lander, deltaTime));
             this.updateBullets(deltaTime);
+            this.updateFlagshipShots(deltaTime);
             this.updateExplosions(deltaTime);
+            this.landers.forEach(lander => this.updateRespawn(lander, deltaTime));
+            this.landers.forEach(lander => this.updateFuelWarning(lander, deltaTime));
+            this.updateOxygen(deltaTime);
+            this.clearEmptyLevel();
+            this.combo.update(deltaTime);
             this.checkCollisions();
+            this.updateGhost();
+            statisticsSystem.advance(deltaTime);
         }
 
         // Always update static entities for animation
         this.updateStaticEntities(deltaTime);
+        this.uiManager.updateTimers(deltaTime);
+
+        // A replay cut short (no game over recorded) ends here
+        if (this.replayPlayer && this.replayPlayer.isFinished()) {
+            this.quitToTitle();
+        }
+
+        if (this.editorTest && this.editorTest.outcome) {
+            this.endEditorTest(`${this.editorTest.outcome} with ${gameState.get('score')} points`);
+        }
+
+        if (this.versus && !this.replayPlayer && PLAYING_PHASES.includes(phase)) {
+            this.updateVersus();
+        }
+    }
+
+    /**
+     * Run as many fixed steps as the elapsed time allows
+     * Leftover time is carried over to the next frame
+     * @param {number} frameTime - Real time elapsed in seconds
+     */
+    advance(frameTime) {
+        this.accumulator += frameTime;
+
+        while (this.accumulator >= Config.FIXED_TIMESTEP) {
+            this.update(Config.FIXED_TIMESTEP);
+            this.accumulator -= Config.FIXED_TIMESTEP;
+        }
+    }
+
+    /**
+     * Render the scene with entities interpolated between the last two steps
+     * @param {number} alpha - Fraction of a step since the last update (0-1)
+     */
+    render(alpha) {
+        const entities = this.getInterpolatedEntities();
 
-        // Render
+        entities.forEach(entity => entity.interpolate(alpha));
         this.sceneManager.render();
+        entities.forEach(entity => entity.restorePosition());
+    }
+
+    /**
+     * Main game loop
+     * @param {number} currentTime
+     */
+    gameLoop(currentTime) {
+        this.animationId = requestAnimationFrame(this.gameLoop);
+
+        const frameTime = this.lastTime ? (currentTime - this.lastTime) / 1000 : 0;
+        this.lastTime = currentTime;
+
+        // Clamp long frames so a stall cannot trigger a burst of catch-up steps
+        let simulatedTime = Math.min(frameTime, Config.MAX_FRAME_TIME);
+
+        if (this.replayPlayer) {
+            const { playing, speed } = this.replayPlayer;
+            simulatedTime = playing ? simulatedTime * speed : 0;
+        }
+
+        this.advance(simulatedTime);
+        this.render(this.accumulator / Config.FIXED_TIMESTEP);
+
+        if (this.replayPlayer) {
+            this.uiManager.updateReplayControls(this.replayPlayer.getStatus());
+        }
+    }
+
+    /**
+     * Advance the game programmatically instead of through the animation loop
+     * Used for headless runs (balance testing, regression checks)
+     * @param {number} [deltaTime] - Simulated time in seconds, run in fixed steps
+     * @param {Object<string, boolean>} [inputs] - Action states to hold from now on,
+     *   e.g. { left: true, up: true, space: false }
+     */
+    step(deltaTime = Config.FIXED_TIMESTEP, inputs = null) {
+        if (inputs) {
+            inputSystem.setActions(inputs);
+        }
+
+        this.advance(deltaTime);
+    }
+
+    /**
+     * Check if the current game has ended
+     * @returns {boolean}
+     */
+    isGameOver() {
+        return gameState.get('phase') === Config.PHASE.GAME_OVER;
     }
 
     /**
@@ -546,6 +2328,7 @@ export class Game {
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
+            this.lastTime = 0;
         }
     }
 
@@ -554,8 +2337,28 @@ export class Game {
      */
     dispose() {
         this.stopLoop();
-        inputSystem.dispose();
-        audioSystem.dispose();
+        inputSystem.off('pause', this.handlePausePress);
+        gameState.off('change', this.handleStateChange);
+        gameState.off('levelUp', this.handleLevelUp);
+        gameState.off('levelFailed', this.handleLevelFailed);
+        gameState.off('extraLife', this.handleExtraLife);
+        gameState.off('padAstronauts', this.handlePadAstronauts);
+        achievementSystem.off('unlock', this.handleAchievementUnlock);
+        achievementSystem.disconnect();
+        statisticsSystem.disconnect();
+
+        if (!this.headless) {
+            inputSystem.dispose();
+            audioSystem.dispose();
+        }
+
+        if (this.editor) {
+            this.editor.dispose();
+        }
+        this.leaveVersus();
+        this.endGhostRace();
+
+        this.clearEntities();
         this.sceneManager.dispose();
         this.collisionSystem.clear();
     }
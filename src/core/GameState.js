@@ -5,6 +5,46 @@
 
 import { Config } from './Config.js';
 
+/**
+ * State values that belong to one player; the rest is shared by the run
+ */
+export const PLAYER_KEYS = [
+    'score', 'lives', 'extraLives', 'astronautsRescued', 'levelRescued', 'levelLost', 'level', 'padAstronauts'
+];
+
+/**
+ * Create the fuel and cargo of a lander fresh from the mothership
+ * @returns {{fuel: number, hasAstronaut: boolean}}
+ */
+function createCrew() {
+    return {
+        fuel: Config.FUEL_MAX,
+        hasAstronaut: false
+    };
+}
+
+/**
+ * Create the state slot of a player who has not played yet
+ * @returns {Object}
+ */
+function createPlayer() {
+    return {
+        score: 0,
+        lives: Config.INITIAL_LIVES,
+        // Extra lives awarded for score so far
+        extraLives: 0,
+        astronautsRescued: 0,
+        levelRescued: 0,
+        // Astronauts of the level whose oxygen ran out
+        levelLost: 0,
+        level: 1,
+        // Astronauts still stranded on each pad of the level, by pad index, as
+        // the seconds of oxygen each has left, neediest first (null until the
+        // level's pads are built)
+        padAstronauts: null
+    };
+}
+
 class GameStateManager {
     constructor() {
         this.listeners = new Map();
@@ -13,16 +53,50 @@ class GameStateManager {
 
     /**
      * Reset game state to initial values
+     * The phase is kept: it only changes through the PhaseMachine
+     * @param {number} [playerCount=1] - Players taking alternate turns
+     * @param {number} [pilotCount=1] - Landers flown at once (2 in co-op), each
+     *   with its own fuel and cargo; score and lives are shared
      */
-    reset() {
+    reset(playerCount = 1, pilotCount = 1) {
         this.state = {
-            phase: Config.PHASE.TITLE,
-            score: 0,
-            lives: Config.INITIAL_LIVES,
-            astronautsRescued: 0,
-            fuel: Config.FUEL_MAX,
-            hasAstronaut: false,
-            level: 1
+            phase: this.state ? this.state.phase : Config.PHASE.TITLE,
+            ...createPlayer(),
+            seed: 0,
+            // Score multiplier earned by combos (see systems/ComboSystem.js)
+            multiplier: 1,
+            activePlayer: 0,
+            players: Array.from({ length: playerCount }, createPlayer),
+            crew: Array.from({ length: pilotCount }, createCrew)
+        };
+        this.notify('reset', this.state);
+    }
+
+    /**
+     * Copy the current state for saving
+     * @returns {Object}
+     */
+    serialize() {
+        this.storePlayer();
+        return {
+            ...this.state,
+            players: this.state.players.map(player => ({ ...player })),
+            crew: this.state.crew.map(crew => ({ ...crew }))
+        };
+    }
+
+    /**
+     * Replace the current state with a saved copy
+     * The phase is kept: it only changes through the PhaseMachine
+     * @param {Object} state - Values returned by serialize()
+     */
+    restore(state) {
+        this.state = {
+            ...this.state,
+            ...state,
+            phase: this.state.phase,
+            players: state.players.map(player => ({ ...player })),
+            crew: state.crew.map(crew => ({ ...crew }))
         };
         this.notify('reset', this.state);
     }
@@ -60,55 +134,297 @@ class GameStateManager {
     }
 
     /**
-     * Add score points
+     * Add score points, multiplied by the combo multiplier
      * @param {number} points - Points to add
      */
     addScore(points) {
-        this.set('score', this.state.score + points);
+        this.set('score', this.state.score + Math.round(points * this.state.multiplier));
+        this.awardExtraLives();
+    }
+
+    /**
+     * Award the extra lives the score has earned, one every
+     * Config.EXTRA_LIFE_SCORE points up to Config.EXTRA_LIFE_MAX a game
+     */
+    awardExtraLives() {
+        if (!Config.EXTRA_LIFE_SCORE) return;
+
+        const earned = Math.min(Config.EXTRA_LIFE_MAX, Math.floor(this.state.score / Config.EXTRA_LIFE_SCORE));
+        const count = earned - this.state.extraLives;
+        if (count <= 0) return;
+
+        this.set('extraLives', earned);
+        this.set('lives', this.state.lives + count);
+        this.notify('extraLife', count);
+    }
+
+    /**
+     * Take points off the score (never below 0), regardless of the multiplier
+     * @param {number} points - Points to take off
+     */
+    deductScore(points) {
+        this.set('score', Math.max(0, this.state.score - points));
+    }
+
+    /**
+     * Set the score multiplier
+     * @param {number} value
+     */
+    setMultiplier(value) {
+        this.set('multiplier', value);
+    }
+
+    /**
+     * Get the number of landers in play
+     * @returns {number}
+     */
+    getPilotCount() {
+        return this.state.crew.length;
+    }
+
+    /**
+     * Get a lander's fuel
+     * @param {number} [pilot=0]
+     * @returns {number}
+     */
+    getFuel(pilot = 0) {
+        return this.state.crew[pilot].fuel;
+    }
+
+    /**
+     * Check if a lander carries an astronaut
+     * @param {number} [pilot=0]
+     * @returns {boolean}
+     */
+    hasAstronaut(pilot = 0) {
+        return this.state.crew[pilot].hasAstronaut;
+    }
+
+    /**
+     * Change a lander's fuel or cargo and notify listeners
+     * @param {number} pilot
+     * @param {Object} updates - fuel and/or hasAstronaut
+     */
+    updateCrew(pilot, updates) {
+        const crew = this.state.crew[pilot];
+        const changed = Object.keys(updates).some(key => crew[key] !== updates[key]);
+        if (!changed) return;
+
+        Object.assign(crew, updates);
+        this.notify('crew', this.state.crew);
     }
 
     /**
      * Consume fuel
+     * Notifies 'fuelConsumed' with the lander, the amount burned and what burned it
      * @param {number} amount - Amount of fuel to consume
+     * @param {number} [pilot=0] - Lander burning it
+     * @param {string} [source='thrust'] - 'thrust' (the pilot thrusting), 'ascent'
+     *   (climbing to the mothership) or 'boost' (boosting the climb)
      * @returns {boolean} True if fuel was available
      */
-    consumeFuel(amount) {
-        if (this.state.fuel <= 0) return false;
-        this.set('fuel', Math.max(0, this.state.fuel - amount));
+    consumeFuel(amount, pilot = 0, source = 'thrust') {
+        const fuel = this.getFuel(pilot);
+        if (fuel <= 0) return false;
+        this.updateCrew(pilot, { fuel: Math.max(0, fuel - amount) });
+        this.notify('fuelConsumed', { pilot, amount: Math.min(amount, fuel), source });
         return true;
     }
 
     /**
      * Refill fuel
      * @param {number} amount - Amount to refill
+     * @param {number} [pilot=0] - Lander taking it on
      */
-    refillFuel(amount) {
-        this.set('fuel', Math.min(Config.FUEL_MAX, this.state.fuel + amount));
+    refillFuel(amount, pilot = 0) {
+        this.updateCrew(pilot, { fuel: Math.min(Config.FUEL_MAX, this.getFuel(pilot) + amount) });
+    }
+
+    /**
+     * Get the number of astronauts still stranded on a pad
+     * @param {number} pad - Pad index
+     * @returns {number}
+     */
+    getPadAstronauts(pad) {
+        return this.state.padAstronauts[pad].length;
+    }
+
+    /**
+     * Strand the astronauts of a level on its pads
+     * @param {Array<number[]>} pads - Oxygen of each astronaut on each pad, by pad index
+     */
+    setPadAstronauts(pads) {
+        this.set('padAstronauts', pads.map(oxygen => [...oxygen].sort((a, b) => a - b)));
+    }
+
+    /**
+     * Take the neediest astronaut off a pad
+     * @param {number} pad - Pad index
+     * @returns {number} The astronaut's oxygen left
+     */
+    takeAstronaut(pad) {
+        const pads = this.state.padAstronauts.map(oxygen => [...oxygen]);
+        const [oxygen] = pads[pad].splice(0, 1);
+        this.set('padAstronauts', pads);
+        return oxygen;
+    }
+
+    /**
+     * Put an astronaut back on a pad
+     * @param {number} pad - Pad index
+     * @param {number} oxygen - The astronaut's oxygen left
+     */
+    returnAstronaut(pad, oxygen) {
+        const pads = this.state.padAstronauts.map(list => [...list]);
+        pads[pad].push(oxygen);
+        pads[pad].sort((a, b) => a - b);
+        this.set('padAstronauts', pads);
+    }
+
+    /**
+     * Use up the oxygen of every stranded astronaut; those who run out are lost
+     * Listeners hear of it once a second (as the whole seconds shown for the
+     * neediest astronaut on a pad tick down) or when an astronaut is lost,
+     * not on every step
+     * @param {number} deltaTime
+     * @returns {number[]} Index of the pad of each astronaut lost
+     */
+    consumeOxygen(deltaTime) {
+        const lost = [];
+        if (!this.state.padAstronauts) return lost;
+
+        const shown = pads => pads.map(oxygen => (oxygen.length ? Math.ceil(oxygen[0]) : 0)).join();
+        const before = shown(this.state.padAstronauts);
+
+        const pads = this.state.padAstronauts.map((oxygen, pad) => oxygen
+            .map(seconds => seconds - deltaTime)
+            .filter(seconds => {
+                if (seconds > 0) return true;
+                lost.push(pad);
+                return false;
+            }));
+
+        if (lost.length || shown(pads) !== before) {
+            this.set('padAstronauts', pads);
+        } else {
+            this.state.padAstronauts = pads;
+        }
+        return lost;
+    }
+
+    /**
+     * Load or unload a lander's astronaut
+     * @param {boolean} aboard
+     * @param {number} [pilot=0]
+     */
+    setAstronaut(aboard, pilot = 0) {
+        this.updateCrew(pilot, { hasAstronaut: aboard });
     }
 
     /**
      * Lose a life
      * @returns {boolean} True if game continues, false if game over
+     *   (every player is out of lives)
      */
     loseLife() {
-        const newLives = this.state.lives - 1;
-        this.set('lives', newLives);
-        return newLives > 0;
+        this.set('lives', this.state.lives - 1);
+        return this.getNextPlayer() !== -1;
+    }
+
+    /**
+     * Copy the active player's values into their slot
+     * The values in play live at the top level of the state, so the
+     * active slot is only up to date after this
+     */
+    storePlayer() {
+        const slot = this.state.players[this.state.activePlayer];
+        PLAYER_KEYS.forEach(key => {
+            slot[key] = this.state[key];
+        });
+    }
+
+    /**
+     * Get every player's values, the active player's included
+     * @returns {Array<Object>}
+     */
+    getPlayers() {
+        this.storePlayer();
+        return this.state.players.map(player => ({ ...player }));
+    }
+
+    /**
+     * Find the player who takes the next turn
+     * Players take turns in order, skipping those without lives; the active
+     * player keeps playing when nobody else has lives left
+     * @returns {number} Player index, or -1 when every player is out of lives
+     */
+    getNextPlayer() {
+        this.storePlayer();
+
+        const { players, activePlayer } = this.state;
+        for (let i = 1; i <= players.length; i++) {
+            const index = (activePlayer + i) % players.length;
+            if (players[index].lives > 0) return index;
+        }
+        return -1;
+    }
+
+    /**
+     * Hand the turn to another player, bringing their values into play
+     * @param {number} index - Player index
+     */
+    switchPlayer(index) {
+        if (index === this.state.activePlayer) return;
+
+        this.storePlayer();
+        this.set('activePlayer', index);
+        this.update(this.state.players[index]);
+        this.notify('playerChange', index);
     }
 
     /**
      * Rescue an astronaut
+     * @param {number} [astronautsRequired] - Astronauts of the current level
      */
-    rescueAstronaut() {
-        const rescued = this.state.astronautsRescued + 1;
-        this.set('astronautsRescued', rescued);
+    rescueAstronaut(astronautsRequired = Config.ASTRONAUTS_PER_LEVEL) {
+        this.set('astronautsRescued', this.state.astronautsRescued + 1);
+        this.set('levelRescued', this.state.levelRescued + 1);
         this.addScore(Config.SCORE_RESCUE);
+        this.checkLevelCleared(astronautsRequired);
+    }
+
+    /**
+     * Count an astronaut whose oxygen ran out, at a score penalty
+     * @param {number} [astronautsRequired] - Astronauts of the current level
+     */
+    loseAstronaut(astronautsRequired = Config.ASTRONAUTS_PER_LEVEL) {
+        this.set('levelLost', this.state.levelLost + 1);
+        this.deductScore(Config.OXYGEN_PENALTY);
+        this.checkLevelCleared(astronautsRequired);
+    }
+
+    /**
+     * Settle the level once every astronaut of this one is rescued or lost:
+     * with all of them rescued it is cleared and the next level starts; with
+     * any lost it is failed and starts over with its astronauts stranded afresh
+     * @param {number} astronautsRequired - Astronauts of the current level
+     */
+    checkLevelCleared(astronautsRequired) {
+        if (this.state.levelRescued + this.state.levelLost < astronautsRequired) return;
 
-        // Check for level up
-        if (rescued % Config.ASTRONAUTS_PER_LEVEL === 0) {
-            this.set('level', this.state.level + 1);
-            this.notify('levelUp', this.state.level);
+        const failed = this.state.levelLost > 0;
+
+        this.set('levelRescued', 0);
+        this.set('levelLost', 0);
+        this.set('padAstronauts', null);
+
+        if (failed) {
+            this.notify('levelFailed', this.state.level);
+            return;
         }
+
+        this.set('level', this.state.level + 1);
+        this.notify('levelUp', this.state.level);
     }
 
     /**
@@ -0,0 +1,87 @@
+/**
+ * Landing Grades
+ * How gently and squarely a lander touched down on a pad, best first. A
+ * touchdown earns the first grade whose limits it is within: speeds in units
+ * per second, offset from the pad centre in units, tilt in radians.
+ * A touchdown too fast, drifting or tilted for isCrashLanding() is a crash,
+ * not a grade.
+ */
+
+import { Config } from './Config.js';
+
+export const LANDING_GRADES = [
+    {
+        id: 'perfect',
+        name: 'PERFECT',
+        maxSpeed: 1.2,
+        maxDrift: 0.5,
+        maxOffset: 0.4,
+        maxTilt: 0.05,
+        bonus: 150
+    },
+    {
+        id: 'good',
+        name: 'GOOD',
+        maxSpeed: 2.2,
+        maxDrift: 2,
+        maxOffset: 0.9,
+        maxTilt: 0.12,
+        bonus: 75
+    },
+    {
+        id: 'rough',
+        name: 'ROUGH',
+        maxSpeed: Infinity,
+        maxDrift: Infinity,
+        maxOffset: Infinity,
+        maxTilt: Infinity,
+        bonus: 0
+    }
+];
+
+/**
+ * Measure how hard a lander is touching down
+ * @param {Lander} lander
+ * @returns {{speed: number, drift: number, tilt: number}}
+ */
+function measureTouchdown(lander) {
+    return {
+        speed: Math.abs(lander.velocity.y),
+        drift: Math.abs(lander.velocity.x),
+        tilt: Math.abs(lander.mesh.rotation.z)
+    };
+}
+
+/**
+ * Check if a touchdown wrecks the lander
+ * Vertical speed, drift and tilt each use up their share of
+ * Config.LANDING_MAX_SPEED, LANDING_MAX_DRIFT and LANDING_MAX_TILT, so a
+ * lander still steering when it touches down crashes at any speed
+ * @param {Lander} lander - Lander at the moment it touches down
+ * @returns {boolean}
+ */
+export function isCrashLanding(lander) {
+    const { speed, drift, tilt } = measureTouchdown(lander);
+
+    return speed / Config.LANDING_MAX_SPEED +
+        drift / Config.LANDING_MAX_DRIFT +
+        tilt / Config.LANDING_MAX_TILT > 1;
+}
+
+/**
+ * Grade a lander's touchdown on a pad
+ * @param {Lander} lander - Lander at the moment it touches down
+ * @param {LandingPad} pad
+ * @returns {Object} The grade earned
+ */
+export function gradeLanding(lander, pad) {
+    const { speed, drift, tilt } = measureTouchdown(lander);
+    const offset = Math.abs(lander.position.x - pad.padX);
+
+    return LANDING_GRADES.find(grade =>
+        speed <= grade.maxSpeed &&
+        drift <= grade.maxDrift &&
+        offset <= grade.maxOffset &&
+        tilt <= grade.maxTilt
+    );
+}
@@ -0,0 +1,175 @@
+/**
+ * Phase Machine
+ * Owns the game phase (Config.PHASE): declares which transitions are legal,
+ * runs enter/exit hooks per phase and emits an event for every transition.
+ * Landers run their own machine over the flight phases (descent, landed, ascent).
+ */
+
+import { Config } from './Config.js';
+
+const { TITLE, DESCENT, LANDED, ASCENT, PAUSED, GAME_OVER, EDITOR } = Config.PHASE;
+
+/**
+ * Phases in which the simulation runs
+ */
+export const PLAYING_PHASES = [DESCENT, LANDED, ASCENT];
+
+/**
+ * Named transitions with the phases they may leave and the phases they may enter
+ */
+export const PHASE_TRANSITIONS = {
+    start: { from: [TITLE, PAUSED, GAME_OVER, EDITOR], to: [DESCENT] },
+    continue: { from: [TITLE, GAME_OVER], to: PLAYING_PHASES },
+    land: { from: [DESCENT], to: [LANDED] },
+    board: { from: [LANDED], to: [ASCENT] },
+    dock: { from: [ASCENT], to: [DESCENT] },
+    respawn: { from: [DESCENT, ASCENT], to: [DESCENT] },
+    pause: { from: PLAYING_PHASES, to: [PAUSED] },
+    resume: { from: [PAUSED], to: PLAYING_PHASES },
+    gameOver: { from: PLAYING_PHASES, to: [GAME_OVER] },
+    quit: { from: [...PLAYING_PHASES, PAUSED, GAME_OVER, EDITOR], to: [TITLE] },
+    edit: { from: [TITLE, ...PLAYING_PHASES, PAUSED, GAME_OVER], to: [EDITOR] }
+};
+
+/**
+ * Create a minimal store for a machine that does not drive the game state
+ * @param {string} phase - Initial phase
+ * @returns {{get: Function, set: Function}}
+ */
+export function createPhaseState(phase) {
+    const values = { phase };
+    return {
+        get: key => values[key],
+        set: (key, value) => {
+            values[key] = value;
+        }
+    };
+}
+
+export class PhaseMachine {
+    /**
+     * @param {Object} state - Store whose 'phase' value the machine drives: the game
+     *   state, or a lander's own state from createPhaseState()
+     * @param {Object<string, {enter?: Function, exit?: Function}>} [hooks] - Hooks keyed by
+     *   phase, called with the transition event when the phase is entered or left
+     */
+    constructor(state, hooks = {}) {
+        this.state = state;
+        this.hooks = hooks;
+        this.listeners = new Map();
+    }
+
+    /**
+     * Get the current phase
+     * @returns {string}
+     */
+    getPhase() {
+        return this.state.get('phase');
+    }
+
+    /**
+     * Resolve the phase a transition leads to
+     * Transitions with a single target need no explicit one
+     * @param {string} name - Transition name
+     * @param {string} [to] - Target phase
+     * @returns {string|undefined}
+     */
+    resolveTarget(name, to) {
+        const transition = PHASE_TRANSITIONS[name];
+        if (to !== undefined || !transition) return to;
+        return transition.to.length === 1 ? transition.to[0] : undefined;
+    }
+
+    /**
+     * Check if a transition is allowed from the current phase
+     * @param {string} name - Transition name
+     * @param {string} [to] - Target phase, for transitions with several targets
+     * @returns {boolean}
+     */
+    can(name, to) {
+        const transition = PHASE_TRANSITIONS[name];
+        if (!transition) return false;
+
+        return transition.from.includes(this.getPhase()) &&
+            transition.to.includes(this.resolveTarget(name, to));
+    }
+
+    /**
+     * Perform a transition: exit hook, phase change, enter hook, then events
+     * @param {string} name - Transition name
+     * @param {string} [to] - Target phase, for transitions with several targets
+     * @returns {{name: string, from: string, to: string}} The transition event
+     */
+    transition(name, to) {
+        const from = this.getPhase();
+        const target = this.resolveTarget(name, to);
+
+        if (!this.can(name, target)) {
+            throw new Error(`Illegal phase transition '${name}' from ${from} to ${target}`);
+        }
+
+        const event = { name, from, to: target };
+
+        this.runHook(from, 'exit', event);
+        this.state.set('phase', target);
+        this.runHook(target, 'enter', event);
+
+        this.emit(name, event);
+        this.emit('transition', event);
+
+        return event;
+    }
+
+    /**
+     * Run a phase hook if one is registered
+     * @param {string} phase
+     * @param {string} type - 'enter' or 'exit'
+     * @param {Object} event - Transition event
+     */
+    runHook(phase, type, event) {
+        const hooks = this.hooks[phase];
+        if (hooks && hooks[type]) {
+            hooks[type](event);
+        }
+    }
+
+    /**
+     * Subscribe to a transition by name, or to every transition with 'transition'
+     * @param {string} event - Transition name or 'transition'
+     * @param {Function} callback - Called with {name, from, to}
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+
+    /**
+     * Unsubscribe from transition events
+     * @param {string} event
+     * @param {Function} callback
+     */
+    off(event, callback) {
+        if (this.listeners.has(event)) {
+            const callbacks = this.listeners.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index > -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Notify listeners of a transition
+     * @param {string} event
+     * @param {Object} transition
+     */
+    emit(event, transition) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(cb => cb(transition));
+        }
+    }
+}
+
+export default PhaseMachine;
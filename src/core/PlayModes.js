@@ -0,0 +1,48 @@
+/**
+ * Play Modes
+ * How many players share a game, how many landers fly at once and whether
+ * the game is raced against an opponent online
+ */
+
+export const DEFAULT_PLAY_MODE = 'single';
+
+export const PLAY_MODES = {
+    single: {
+        id: 'single',
+        name: '1 Player',
+        description: 'One pilot, one lander.',
+        players: 1,
+        pilots: 1
+    },
+    alternate: {
+        id: 'alternate',
+        name: '2 Players',
+        description: 'Players take turns, passing the lander on after every lost life.',
+        players: 2,
+        pilots: 1
+    },
+    coop: {
+        id: 'coop',
+        name: 'Co-op',
+        description: 'Two landers fly at once from a shared pool of lives. Player 1: WASD + Space, Player 2: arrows + Enter.',
+        players: 1,
+        pilots: 2
+    },
+    versus: {
+        id: 'versus',
+        name: 'Versus',
+        description: 'Race an opponent over the network through the same meteor field: the first to rescue the target number of astronauts wins.',
+        players: 1,
+        pilots: 1,
+        online: true
+    }
+};
+
+/**
+ * Get a play mode by id
+ * @param {string} id
+ * @returns {Object} The mode, or single player if the id is unknown
+ */
+export function getPlayMode(id) {
+    return PLAY_MODES[id] || PLAY_MODES[DEFAULT_PLAY_MODE];
+}
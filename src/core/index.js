@@ -2,6 +2,16 @@
  * Core Module Exports
  */
 
-export { Config } from './Config.js';
-export { gameState } from './GameState.js';
+export { Config, snapshotConfig, applyConfig } from './Config.js';
+export { gameState, PLAYER_KEYS } from './GameState.js';
+export { PhaseMachine, PHASE_TRANSITIONS, PLAYING_PHASES, createPhaseState } from './PhaseMachine.js';
+export { PLAY_MODES, DEFAULT_PLAY_MODE, getPlayMode } from './PlayModes.js';
+export {
+    DIFFICULTY_PROFILES,
+    DEFAULT_DIFFICULTY,
+    getDifficulty,
+    applyDifficulty
+} from './Difficulty.js';
+export { ACHIEVEMENTS, getAchievement } from './Achievements.js';
+export { LANDING_GRADES, gradeLanding } from './Landing.js';
 export { Game } from './Game.js';
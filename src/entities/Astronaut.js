@@ -19,7 +19,8 @@ export class Astronaut extends Entity {
         this.radius = 0.3;
         this.padX = padX;
         this.state = AstronautState.RUNNING;
-        this.speed = 0.05;
+        this.speed = 3;
+        this.elapsed = 0;
         this.createMesh();
         this.setStartPosition(padX);
     }
@@ -54,7 +55,7 @@ export class Astronaut extends Entity {
      * @param {number} padX - X position of landing pad
      */
     setStartPosition(padX) {
-        this.mesh.position.set(
+        this.setPosition(
             padX - 3,
             -Config.GAME_HEIGHT / 2 + 2.5,
             0
@@ -73,10 +74,11 @@ export class Astronaut extends Entity {
         if (this.state === AstronautState.RUNNING) {
             // Move towards lander
             const direction = Math.sign(landerPosition.x - this.mesh.position.x);
-            this.mesh.position.x += direction * this.speed;
+            this.mesh.position.x += direction * this.speed * deltaTime;
 
             // Walking animation
-            this.mesh.rotation.z = Math.sin(Date.now() * 0.01) * 0.2;
+            this.elapsed += deltaTime;
+            this.mesh.rotation.z = Math.sin(this.elapsed * 10) * 0.2;
 
             // Check if reached lander
             if (Math.abs(this.mesh.position.x - landerPosition.x) < 0.5) {
@@ -85,8 +87,8 @@ export class Astronaut extends Entity {
             }
         } else if (this.state === AstronautState.BOARDING) {
             // Move up into lander
-            this.mesh.position.y += 0.05;
-            this.mesh.scale.multiplyScalar(0.95);
+            this.mesh.position.y += 3 * deltaTime;
+            this.mesh.scale.multiplyScalar(Math.exp(-3 * deltaTime));
 
             if (this.mesh.scale.x < 0.1) {
                 this.state = AstronautState.ABOARD;
@@ -98,6 +100,32 @@ export class Astronaut extends Entity {
         return false;
     }
 
+    /**
+     * Capture astronaut state for saving
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            padX: this.padX,
+            state: this.state,
+            scale: this.mesh.scale.x,
+            elapsed: this.elapsed
+        };
+    }
+
+    /**
+     * Restore state captured by serialize()
+     * @param {Object} data
+     */
+    restore(data) {
+        super.restore(data);
+        this.padX = data.padX;
+        this.state = data.state;
+        this.mesh.scale.setScalar(data.scale);
+        this.elapsed = data.elapsed;
+    }
+
     /**
      * Check if astronaut has started boarding
      * @returns {boolean}
@@ -8,24 +8,46 @@ import { Entity } from './Entity.js';
 import { Config } from '../core/Config.js';
 
 export class Bullet extends Entity {
-    constructor(startPosition) {
+    /**
+     * @param {{x: number, y: number, z: number}} startPosition - Position of the firing lander
+     * @param {number} [owner=0] - Pilot who fired it
+     */
+    constructor(startPosition, owner = 0) {
         super();
         this.radius = 0.2;
         this.speed = Config.BULLET_SPEED;
+        this.owner = owner;
         this.createMesh();
         this.setPosition(startPosition.x, startPosition.y + 1.5, startPosition.z);
     }
 
     createMesh() {
         const geometry = new THREE.CylinderGeometry(0.1, 0.1, 0.5, 8);
-        const material = new THREE.MeshBasicMaterial({
-            color: 0xffff00,
-            emissive: 0x888800
-        });
+        const material = new THREE.MeshBasicMaterial({ color: 0xffff00 });
 
         this.mesh = new THREE.Mesh(geometry, material);
     }
 
+    /**
+     * Capture bullet state for saving
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            owner: this.owner
+        };
+    }
+
+    /**
+     * Restore state captured by serialize()
+     * @param {Object} data
+     */
+    restore(data) {
+        super.restore(data);
+        this.owner = data.owner;
+    }
+
     /**
      * Update bullet position
      * @param {number} deltaTime
@@ -34,7 +56,7 @@ export class Bullet extends Entity {
     update(deltaTime) {
         if (!this.active) return false;
 
-        this.mesh.position.y += this.speed;
+        this.mesh.position.y += this.speed * deltaTime;
 
         // Deactivate if off screen
         if (this.mesh.position.y > Config.GAME_HEIGHT / 2) {
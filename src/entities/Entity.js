@@ -11,6 +11,10 @@ export class Entity {
         this.velocity = { x: 0, y: 0, z: 0 };
         this.active = true;
         this.radius = 1;
+
+        // Render interpolation
+        this.previousPosition = new THREE.Vector3();
+        this.simulationPosition = new THREE.Vector3();
     }
 
     /**
@@ -30,6 +34,38 @@ export class Entity {
     setPosition(x, y, z = 0) {
         if (this.mesh) {
             this.mesh.position.set(x, y, z);
+            // Teleports should not be interpolated
+            this.previousPosition.copy(this.mesh.position);
+        }
+    }
+
+    /**
+     * Remember the position at the start of a simulation step
+     */
+    storePreviousPosition() {
+        if (this.mesh) {
+            this.previousPosition.copy(this.mesh.position);
+        }
+    }
+
+    /**
+     * Move the mesh to its render position between the last two steps
+     * Must be paired with restorePosition() once the frame is rendered
+     * @param {number} alpha - Fraction of a step since the last update (0-1)
+     */
+    interpolate(alpha) {
+        if (!this.mesh) return;
+
+        this.simulationPosition.copy(this.mesh.position);
+        this.mesh.position.lerpVectors(this.previousPosition, this.simulationPosition, alpha);
+    }
+
+    /**
+     * Restore the simulated position after rendering
+     */
+    restorePosition() {
+        if (this.mesh) {
+            this.mesh.position.copy(this.simulationPosition);
         }
     }
 
@@ -41,9 +77,31 @@ export class Entity {
         if (!this.active || !this.mesh) return;
 
         // Apply velocity
-        this.mesh.position.x += this.velocity.x;
-        this.mesh.position.y += this.velocity.y;
-        this.mesh.position.z += this.velocity.z;
+        this.mesh.position.x += this.velocity.x * deltaTime;
+        this.mesh.position.y += this.velocity.y * deltaTime;
+        this.mesh.position.z += this.velocity.z * deltaTime;
+    }
+
+    /**
+     * Capture the entity's simulation state
+     * @returns {Object} Plain data, safe to store as JSON
+     */
+    serialize() {
+        return {
+            position: this.position.toArray(),
+            velocity: { ...this.velocity },
+            active: this.active
+        };
+    }
+
+    /**
+     * Restore state captured by serialize()
+     * @param {Object} data
+     */
+    restore(data) {
+        this.setPosition(...data.position);
+        this.velocity = { ...data.velocity };
+        this.active = data.active;
     }
 
     /**
@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { cosmeticRng } from '../utils/Random.js';
 
 export class Explosion {
     constructor(position, particleCount = 20) {
@@ -14,9 +15,9 @@ export class Explosion {
 
     createParticles(position, count) {
         for (let i = 0; i < count; i++) {
-            const geometry = new THREE.SphereGeometry(0.1 + Math.random() * 0.2, 4, 4);
+            const geometry = new THREE.SphereGeometry(0.1 + cosmeticRng.next() * 0.2, 4, 4);
             const material = new THREE.MeshBasicMaterial({
-                color: new THREE.Color().setHSL(Math.random() * 0.1 + 0.05, 1, 0.5),
+                color: new THREE.Color().setHSL(cosmeticRng.next() * 0.1 + 0.05, 1, 0.5),
                 transparent: true
             });
             const mesh = new THREE.Mesh(geometry, material);
@@ -25,9 +26,9 @@ export class Explosion {
             this.particles.push({
                 mesh,
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.5,
-                    (Math.random() - 0.5) * 0.5,
-                    (Math.random() - 0.5) * 0.5
+                    (cosmeticRng.next() - 0.5) * 30,
+                    (cosmeticRng.next() - 0.5) * 30,
+                    (cosmeticRng.next() - 0.5) * 30
                 ),
                 life: 1
             });
@@ -69,11 +70,11 @@ export class Explosion {
 
             allDead = false;
 
-            particle.mesh.position.add(particle.velocity);
-            particle.velocity.multiplyScalar(0.95);
-            particle.life -= 0.02;
+            particle.mesh.position.addScaledVector(particle.velocity, deltaTime);
+            particle.velocity.multiplyScalar(Math.exp(-3 * deltaTime));
+            particle.life -= 1.2 * deltaTime;
             particle.mesh.material.opacity = particle.life;
-            particle.mesh.scale.multiplyScalar(0.98);
+            particle.mesh.scale.multiplyScalar(Math.exp(-1.2 * deltaTime));
         }
 
         if (allDead) {
@@ -0,0 +1,58 @@
+/**
+ * FlagshipShot Entity
+ * Projectile a Flagship fires at a climbing lander
+ */
+
+import * as THREE from 'three';
+import { Entity } from './Entity.js';
+import { Config } from '../core/Config.js';
+
+export class FlagshipShot extends Entity {
+    /**
+     * @param {{x: number, y: number, z: number}} startPosition - Position of the Flagship
+     * @param {{x: number, y: number}} target - Position aimed at
+     */
+    constructor(startPosition, target) {
+        super();
+        this.radius = 0.3;
+        this.createMesh();
+        this.setPosition(startPosition.x, startPosition.y, 0);
+
+        const dx = target.x - startPosition.x;
+        const dy = target.y - startPosition.y;
+        const distance = Math.hypot(dx, dy) || 1;
+        this.velocity = {
+            x: (dx / distance) * Config.FLAGSHIP_SHOT_SPEED,
+            y: (dy / distance) * Config.FLAGSHIP_SHOT_SPEED,
+            z: 0
+        };
+    }
+
+    createMesh() {
+        const geometry = new THREE.SphereGeometry(0.3, 8, 8);
+        const material = new THREE.MeshBasicMaterial({ color: 0xff00ff });
+
+        this.mesh = new THREE.Mesh(geometry, material);
+    }
+
+    /**
+     * Update shot position
+     * @param {number} deltaTime
+     * @returns {boolean} True if the shot is still active (in the play area)
+     */
+    update(deltaTime) {
+        if (!this.active) return false;
+
+        super.update(deltaTime);
+
+        if (Math.abs(this.mesh.position.x) > Config.GAME_WIDTH / 2 ||
+            Math.abs(this.mesh.position.y) > Config.GAME_HEIGHT / 2) {
+            this.active = false;
+            return false;
+        }
+
+        return true;
+    }
+}
+
+export default FlagshipShot;
@@ -0,0 +1,37 @@
+/**
+ * Ghost Lander Entity
+ * Translucent lander that is not simulated: it is posed from recorded or
+ * remote lander state (see Lander.getPose()) and never collides
+ */
+
+import { Lander } from './Lander.js';
+import { Config } from '../core/Config.js';
+
+export class GhostLander extends Lander {
+    constructor() {
+        super(1);
+        this.active = false;
+
+        this.mesh.traverse(child => {
+            if (child.material && child !== this.thruster) {
+                child.material.transparent = true;
+                child.material.opacity *= Config.GHOST_OPACITY;
+                child.material.depthWrite = false;
+            }
+        });
+        this.mesh.visible = false;
+    }
+
+    /**
+     * Move the ghost to a lander pose
+     * @param {{x: number, y: number, tilt: number, thrust: number, visible: boolean}} pose
+     */
+    setPose({ x, y, tilt, thrust, visible }) {
+        this.mesh.position.set(x, y, 0);
+        this.mesh.rotation.z = tilt;
+        this.setThrusterVisible(thrust > 0, thrust * Config.GHOST_OPACITY);
+        this.mesh.visible = visible;
+    }
+}
+
+export default GhostLander;
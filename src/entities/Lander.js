@@ -6,24 +6,81 @@
 import * as THREE from 'three';
 import { Entity } from './Entity.js';
 import { Config } from '../core/Config.js';
+import { PhaseMachine, createPhaseState } from '../core/PhaseMachine.js';
+
+// Hull colours per pilot
+const PILOT_COLORS = [
+    { color: 0x00ff00, emissive: 0x004400 },
+    { color: 0x00aaff, emissive: 0x002244 }
+];
 
 export class Lander extends Entity {
-    constructor() {
+    /**
+     * @param {number} [pilot=0] - Pilot flying the lander (1 for the second co-op lander)
+     * @param {number} [spawnX=0] - Horizontal start position below the mothership
+     */
+    constructor(pilot = 0, spawnX = 0) {
         super();
         this.radius = 1;
+        this.pilot = pilot;
+        this.spawnX = spawnX;
         this.thrusterVisible = false;
+
+        // Flight phase (descent, landed, ascent), separate from the game phase
+        // so co-op landers can each be in their own
+        this.flight = new PhaseMachine(createPhaseState(Config.PHASE.DESCENT));
+
+        // Time left before a wrecked lander returns, and whether it is out for good
+        this.respawnTimer = 0;
+        this.retired = false;
+
+        // Whether the mothership is towing the lander home (out of fuel)
+        this.towing = false;
+
+        // Pad of the astronaut the lander is picking up or carrying, until it
+        // docks, and the oxygen they had left when it landed for them
+        this.astronautPad = null;
+        this.astronautOxygen = 0;
+
+        // Fuel warning on show ('low', 'empty', 'tow' or null) and time to its
+        // next beep; cosmetic, so not saved
+        this.fuelWarning = null;
+        this.fuelWarningTimer = 0;
+
         this.createMesh();
     }
 
+    /**
+     * Get the lander's flight phase
+     * @returns {string} Config.PHASE.DESCENT, LANDED or ASCENT
+     */
+    getFlightPhase() {
+        return this.flight.getPhase();
+    }
+
+    /**
+     * Check if the lander is flying (not wrecked or out of the game)
+     * @returns {boolean}
+     */
+    isFlying() {
+        return !this.retired && this.respawnTimer <= 0;
+    }
+
+    /**
+     * Take the lander out of the game for good (co-op, no lives left)
+     */
+    retire() {
+        this.retired = true;
+        this.active = false;
+        this.mesh.visible = false;
+    }
+
     createMesh() {
         this.mesh = new THREE.Group();
 
         // Main body (cone pointing down)
         const bodyGeometry = new THREE.ConeGeometry(0.8, 2, 8);
-        const bodyMaterial = new THREE.MeshPhongMaterial({
-            color: 0x00ff00,
-            emissive: 0x004400
-        });
+        const bodyMaterial = new THREE.MeshPhongMaterial(PILOT_COLORS[this.pilot % PILOT_COLORS.length]);
         const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
         body.rotation.x = Math.PI;
         this.mesh.add(body);
@@ -76,17 +133,69 @@ export class Lander extends Entity {
      * Reset lander to starting position
      */
     reset() {
-        this.setPosition(0, Config.GAME_HEIGHT / 2 - 6, 0);
+        this.setPosition(this.spawnX, Config.GAME_HEIGHT / 2 - 6, 0);
         this.velocity = { x: 0, y: Config.DESCENT_SPEED, z: 0 };
         this.mesh.rotation.z = 0;
+        this.towing = false;
+        this.astronautPad = null;
+        this.astronautOxygen = 0;
         this.setThrusterVisible(false);
     }
 
+    /**
+     * Capture lander state for saving
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            tilt: this.mesh.rotation.z,
+            phase: this.getFlightPhase(),
+            respawnTimer: this.respawnTimer,
+            retired: this.retired,
+            towing: this.towing,
+            astronautPad: this.astronautPad,
+            astronautOxygen: this.astronautOxygen
+        };
+    }
+
+    /**
+     * Restore state captured by serialize()
+     * @param {Object} data
+     */
+    restore(data) {
+        super.restore(data);
+        this.mesh.rotation.z = data.tilt;
+        this.flight.state.set('phase', data.phase);
+        this.respawnTimer = data.respawnTimer;
+        this.towing = Boolean(data.towing);
+        this.astronautPad = typeof data.astronautPad === 'number' ? data.astronautPad : null;
+        this.astronautOxygen = data.astronautOxygen || 0;
+        if (data.retired) {
+            this.retire();
+        }
+    }
+
+    /**
+     * Get what a ghost needs to draw the lander: position, tilt and thruster
+     * @returns {{x: number, y: number, tilt: number, thrust: number, visible: boolean}}
+     */
+    getPose() {
+        return {
+            x: this.position.x,
+            y: this.position.y,
+            tilt: this.mesh.rotation.z,
+            thrust: this.thrusterVisible ? this.thruster.material.opacity : 0,
+            visible: this.isFlying()
+        };
+    }
+
     /**
      * Apply thrust force
+     * @param {number} deltaTime
      */
-    applyThrust() {
-        this.velocity.y += Config.THRUST;
+    applyThrust(deltaTime) {
+        this.velocity.y += Config.THRUST * deltaTime;
         this.setThrusterVisible(true);
     }
 
@@ -96,15 +205,34 @@ export class Lander extends Entity {
      * @param {number} speedMultiplier - Speed multiplier (default 1)
      */
     moveHorizontal(direction, speedMultiplier = 1) {
-        this.mesh.position.x += direction * Config.HORIZONTAL_SPEED * speedMultiplier;
+        this.velocity.x = direction * Config.HORIZONTAL_SPEED * speedMultiplier;
         this.mesh.rotation.z = -direction * 0.2;
     }
 
+    /**
+     * Stop horizontal movement
+     */
+    stopHorizontal() {
+        this.velocity.x = 0;
+    }
+
+    /**
+     * Let sideways drift die down, so a lander let go just before touchdown
+     * still drifts a little
+     * @param {number} deltaTime
+     */
+    easeHorizontal(deltaTime) {
+        // Roughly a third per 1/60s, independent of step size
+        this.velocity.x *= Math.exp(-24 * deltaTime);
+    }
+
     /**
      * Apply gravity
+     * @param {number} deltaTime
+     * @param {number} [gravity] - Acceleration of the current level
      */
-    applyGravity() {
-        this.velocity.y += Config.GRAVITY;
+    applyGravity(deltaTime, gravity = Config.GRAVITY) {
+        this.velocity.y += gravity * deltaTime;
         // Limit descent speed
         this.velocity.y = Math.max(this.velocity.y, Config.MAX_DESCENT_SPEED);
     }
@@ -121,9 +249,11 @@ export class Lander extends Entity {
 
     /**
      * Ease rotation back to neutral
+     * @param {number} deltaTime
      */
-    easeRotation() {
-        this.mesh.rotation.z *= 0.9;
+    easeRotation(deltaTime) {
+        // Roughly 10% per 1/60s, independent of step size
+        this.mesh.rotation.z *= Math.exp(-6.3 * deltaTime);
     }
 
     /**
@@ -142,8 +272,8 @@ export class Lander extends Entity {
         if (!this.active) return;
 
         // Apply velocity
-        this.mesh.position.x += this.velocity.x;
-        this.mesh.position.y += this.velocity.y;
+        this.mesh.position.x += this.velocity.x * deltaTime;
+        this.mesh.position.y += this.velocity.y * deltaTime;
 
         // Clamp position
         this.clampPosition();
@@ -163,6 +293,26 @@ export class Lander extends Entity {
         this.velocity.y = Config.ASCENT_SPEED * 1.5;
     }
 
+    /**
+     * Hand the lander to the mothership's tow, engines off
+     */
+    startTow() {
+        this.towing = true;
+        this.setThrusterVisible(false);
+    }
+
+    /**
+     * Head straight for the docking bay at tow speed
+     */
+    towToMothership() {
+        const dx = -this.mesh.position.x;
+        const dy = Config.GAME_HEIGHT / 2 - 5 - this.mesh.position.y;
+        const distance = Math.hypot(dx, dy) || 1;
+
+        this.velocity.x = (dx / distance) * Config.TOW_SPEED;
+        this.velocity.y = (dy / distance) * Config.TOW_SPEED;
+    }
+
     /**
      * Check if lander is at ground level
      * @returns {boolean}
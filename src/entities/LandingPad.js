@@ -1,6 +1,9 @@
 /**
  * LandingPad Entity
  * Platform where the lander can safely land
+ * One light per astronaut stranded there at the start of the level: lit
+ * while they wait, dark red once they have left. A bar above the pad shows
+ * the oxygen left to the neediest of them.
  */
 
 import * as THREE from 'three';
@@ -8,12 +11,23 @@ import { Entity } from './Entity.js';
 import { Config } from '../core/Config.js';
 
 export class LandingPad extends Entity {
-    constructor(x, index) {
+    /**
+     * @param {number} x - Centre of the pad
+     * @param {number} index
+     * @param {number} [width]
+     * @param {number} [capacity=3] - Astronauts stranded at the start of the level
+     */
+    constructor(x, index, width = 4, capacity = 3) {
         super();
         this.padX = x;
         this.padIndex = index;
-        this.width = 4;
+        this.width = width;
+        this.capacity = capacity;
+        this.astronauts = capacity;
         this.lights = [];
+        this.oxygenBar = null;
+        this.oxygenBack = null;
+        this.elapsed = 0;
         this.createMesh();
         this.setPosition(x, -Config.GAME_HEIGHT / 2 + 2, 0);
     }
@@ -30,24 +44,41 @@ export class LandingPad extends Entity {
         const platform = new THREE.Mesh(platformGeometry, platformMaterial);
         this.mesh.add(platform);
 
-        // Landing lights
+        // Landing lights, one per stranded astronaut (one for a pad with none)
         const lightGeometry = new THREE.SphereGeometry(0.2, 8, 8);
+        const count = Math.max(1, this.capacity);
+        const span = this.width - 1;
 
-        for (let j = -1; j <= 1; j++) {
+        for (let j = 0; j < count; j++) {
             const lightMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
             const light = new THREE.Mesh(lightGeometry, lightMaterial);
-            light.position.set(j * 1.5, 0.35, 0);
+            const x = count > 1 ? -span / 2 + (span * j) / (count - 1) : 0;
+            light.position.set(x, 0.35, 0);
             this.lights.push(light);
             this.mesh.add(light);
         }
 
+        // Oxygen bar, scaled from its left end
+        this.oxygenBack = new THREE.Mesh(
+            new THREE.PlaneGeometry(this.width, 0.3),
+            new THREE.MeshBasicMaterial({ color: 0x222222 })
+        );
+        this.oxygenBack.position.set(0, 1.4, 0);
+        this.mesh.add(this.oxygenBack);
+
+        const barGeometry = new THREE.PlaneGeometry(this.width, 0.3);
+        barGeometry.translate(this.width / 2, 0, 0);
+        this.oxygenBar = new THREE.Mesh(barGeometry, new THREE.MeshBasicMaterial({ color: 0x00ff00 }));
+        this.oxygenBar.position.set(-this.width / 2, 1.4, 0.01);
+        this.mesh.add(this.oxygenBar);
+
         // Support legs
         const legGeometry = new THREE.CylinderGeometry(0.1, 0.2, 2, 8);
         const legMaterial = new THREE.MeshPhongMaterial({ color: 0x666666 });
 
         for (let j = -1; j <= 1; j += 2) {
             const leg = new THREE.Mesh(legGeometry, legMaterial);
-            leg.position.set(j * 1.5, -1.2, 0);
+            leg.position.set(j * (this.width / 2 - 0.5), -1.2, 0);
             this.mesh.add(leg);
         }
     }
@@ -61,14 +92,56 @@ export class LandingPad extends Entity {
         return Math.abs(x - this.padX) < (this.width / 2 - 0.5);
     }
 
+    /**
+     * Set how many astronauts are still stranded on the pad
+     * @param {number} count
+     */
+    setAstronauts(count) {
+        this.astronauts = count;
+    }
+
+    /**
+     * Show the oxygen left to the neediest astronaut on the pad
+     * @param {number} seconds - 0 hides the bar
+     * @param {number} full - Seconds of oxygen in a full bar
+     */
+    setOxygen(seconds, full) {
+        const visible = seconds > 0;
+        this.oxygenBar.visible = visible;
+        this.oxygenBack.visible = visible;
+        if (!visible) return;
+
+        this.oxygenBar.scale.x = Math.max(0.01, Math.min(1, seconds / full));
+        if (seconds <= Config.OXYGEN_LOW_WARNING) {
+            this.oxygenBar.material.color.setHex(0xff3333);
+        } else if (seconds <= full / 2) {
+            this.oxygenBar.material.color.setHex(0xffcc00);
+        } else {
+            this.oxygenBar.material.color.setHex(0x00ff00);
+        }
+    }
+
+    /**
+     * Check if the pad has astronauts left to rescue
+     * @returns {boolean}
+     */
+    hasAstronauts() {
+        return this.astronauts > 0;
+    }
+
     /**
      * Update landing light animation
      * @param {number} deltaTime
      */
     update(deltaTime) {
-        const time = Date.now() * 0.003;
+        this.elapsed += deltaTime;
+        const time = this.elapsed * 3;
 
         this.lights.forEach((light, index) => {
+            if (index >= this.astronauts) {
+                light.material.color.setRGB(0.3, 0, 0);
+                return;
+            }
             const brightness = (Math.sin(time + index * 0.5) + 1) / 2;
             light.material.color.setRGB(0, brightness, 0);
         });
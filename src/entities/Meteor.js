@@ -1,34 +1,74 @@
 /**
  * Meteor Entity
  * Obstacles that the player must avoid or destroy
+ * Large meteors break into smaller, faster fragments when shot; the smallest
+ * are destroyed outright
+ * A meteor that turns into a Flagship hunts the landers: it tracks the nearest
+ * one, dives at it while it descends, fires at it while it climbs and backs
+ * away for a while each time it is hit
  */
 
 import * as THREE from 'three';
 import { Entity } from './Entity.js';
 import { Config } from '../core/Config.js';
+import { rng } from '../utils/Random.js';
+
+// Meteor shapes, picked by index so a saved meteor can be rebuilt
+const SHAPES = [
+    () => new THREE.IcosahedronGeometry(1, 0),
+    () => new THREE.DodecahedronGeometry(0.8, 0),
+    () => new THREE.OctahedronGeometry(0.9, 0)
+];
+
+/**
+ * What a Flagship is doing
+ */
+export const FlagshipMode = {
+    TRACK: 'track',
+    DIVE: 'dive',
+    RETREAT: 'retreat'
+};
 
 export class Meteor extends Entity {
-    constructor(level = 1) {
+    /**
+     * @param {Object} level - Level definition from LevelManager.getLevel()
+     * @param {Meteor} [parent] - Meteor this is a fragment of
+     * @param {number} [angle] - Direction the fragment is flung in, in radians
+     */
+    constructor(level, parent = null, angle = 0) {
         super();
-        this.level = level;
+        this.level = level.number;
         this.rotation = { x: 0, y: 0, z: 0 };
         this.isFlagship = false;
         this.flashTimer = 0;
-        this.willBecomeFlagship = Math.random() < Config.FLAGSHIP_CHANCE;
-        this.points = Config.SCORE_METEOR;
-        this.createMesh();
-        this.randomize();
-    }
+        this.willBecomeFlagship = !parent && rng.chance(level.flagshipChance);
+        this.points = parent ? Config.SCORE_FRAGMENT : Config.SCORE_METEOR;
+        // Hits left before it is destroyed
+        this.health = 1;
+        // Flagship behaviour, and seconds before it may fire and stops retreating
+        this.mode = FlagshipMode.TRACK;
+        this.fireTimer = 0;
+        this.retreatTimer = 0;
+        // A fragment cannot hit the pilot who shot it apart for a moment
+        this.sparedPilot = null;
+        this.graceTimer = 0;
 
-    createMesh() {
-        // Random meteor shape
-        const geometries = [
-            new THREE.IcosahedronGeometry(1, 0),
-            new THREE.DodecahedronGeometry(0.8, 0),
-            new THREE.OctahedronGeometry(0.9, 0)
-        ];
+        if (parent) {
+            this.createMesh(rng.int(0, SHAPES.length), parent.scale * Config.FRAGMENT_SCALE);
+            this.scatterFrom(parent, angle);
+        } else {
+            this.createMesh();
+            this.randomize(level);
+        }
+    }
 
-        const geometry = geometries[Math.floor(Math.random() * geometries.length)];
+    /**
+     * Create the rock mesh
+     * @param {number} shape - Index into SHAPES (random by default)
+     * @param {number} scale - Size, which is also the collision radius (random by default)
+     */
+    createMesh(shape = rng.int(0, SHAPES.length), scale = 0.5 + rng.next() * 1) {
+        const geometry = SHAPES[shape]();
         const material = new THREE.MeshPhongMaterial({
             color: 0x888888,
             emissive: 0x222222,
@@ -36,48 +76,119 @@ export class Meteor extends Entity {
         });
 
         this.mesh = new THREE.Mesh(geometry, material);
+        this.shape = shape;
+        this.scale = scale;
 
-        // Random scale
-        const scale = 0.5 + Math.random() * 1;
         this.mesh.scale.set(scale, scale, scale);
         this.radius = scale;
     }
 
     /**
      * Randomize meteor position and velocity
+     * @param {Object} level - Level definition with meteorZones, safeZone and meteorSpeed
      */
-    randomize() {
-        // Safe zone at top (15 units from mothership) for player to start
-        const topSafeZone = 15;
-        const bottomMargin = 8;
-        const yRange = Config.GAME_HEIGHT - topSafeZone - bottomMargin;
-
-        this.mesh.position.set(
-            (Math.random() - 0.5) * (Config.GAME_WIDTH - 4),
-            -Config.GAME_HEIGHT / 2 + bottomMargin + Math.random() * yRange,
-            (Math.random() - 0.5) * 4
+    randomize(level) {
+        const speed = level.meteorSpeed;
+
+        // Spawn in one of the level's zones, below the safe zone at the top
+        // where the player starts from the mothership
+        const zone = rng.pick(level.meteorZones);
+        const top = Math.min(zone.y[1], Config.GAME_HEIGHT / 2 - level.safeZone);
+
+        this.setPosition(
+            rng.range(zone.x[0], zone.x[1]),
+            rng.range(Math.min(zone.y[0], top), top),
+            (rng.next() - 0.5) * 4
         );
 
         this.mesh.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
+            rng.next() * Math.PI,
+            rng.next() * Math.PI,
+            rng.next() * Math.PI
+        );
+
+        this.velocity = {
+            x: rng.range(speed.x[0], speed.x[1]),
+            y: rng.range(speed.y[0], speed.y[1]),
+            z: 0
+        };
+
+        this.rotation = {
+            x: (rng.next() - 0.5) * Config.METEOR_SPIN,
+            y: (rng.next() - 0.5) * Config.METEOR_SPIN,
+            z: (rng.next() - 0.5) * Config.METEOR_SPIN
+        };
+    }
+
+    /**
+     * Fling a fragment out of the meteor it broke off
+     * @param {Meteor} parent
+     * @param {number} angle - Direction in radians
+     */
+    scatterFrom(parent, angle) {
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+
+        this.setPosition(
+            parent.position.x + dx * parent.radius * 0.5,
+            parent.position.y + dy * parent.radius * 0.5,
+            parent.position.z
         );
 
-        const speedMultiplier = 1 + this.level * 0.1;
+        this.mesh.rotation.copy(parent.mesh.rotation);
+
         this.velocity = {
-            x: (Math.random() - 0.5) * 0.1 * speedMultiplier,
-            y: (Math.random() - 0.5) * 0.05,
+            x: parent.velocity.x * Config.FRAGMENT_SPEED + dx * Config.FRAGMENT_SPREAD,
+            y: parent.velocity.y * Config.FRAGMENT_SPEED + dy * Config.FRAGMENT_SPREAD,
             z: 0
         };
 
         this.rotation = {
-            x: (Math.random() - 0.5) * 0.02,
-            y: (Math.random() - 0.5) * 0.02,
-            z: (Math.random() - 0.5) * 0.02
+            x: parent.rotation.x * Config.FRAGMENT_SPEED,
+            y: parent.rotation.y * Config.FRAGMENT_SPEED,
+            z: parent.rotation.z * Config.FRAGMENT_SPEED
         };
     }
 
+    /**
+     * Check if the meteor is large enough to break into fragments when shot
+     * @returns {boolean}
+     */
+    canSplit() {
+        return !this.isFlagship && this.scale > Config.METEOR_SPLIT_SCALE;
+    }
+
+    /**
+     * Break into Config.METEOR_FRAGMENTS_MIN to METEOR_FRAGMENTS_MAX fragments,
+     * flung apart evenly
+     * @param {Object} level - Level definition
+     * @param {number|null} [shooter] - Pilot whose shot broke it up, spared by
+     *   the fragments for Config.FRAGMENT_GRACE seconds
+     * @returns {Meteor[]} The fragments, not yet added to the scene
+     */
+    split(level, shooter = null) {
+        const count = rng.int(Config.METEOR_FRAGMENTS_MIN, Config.METEOR_FRAGMENTS_MAX + 1);
+        const start = rng.next() * Math.PI * 2;
+
+        return Array.from({ length: count }, (_, i) => {
+            const fragment = new Meteor(level, this, start + (i * Math.PI * 2) / count);
+            if (shooter !== null) {
+                fragment.sparedPilot = shooter;
+                fragment.graceTimer = Config.FRAGMENT_GRACE;
+            }
+            return fragment;
+        });
+    }
+
+    /**
+     * Check if the meteor is still sparing a lander, being a fragment it just shot off
+     * @param {Lander} lander
+     * @returns {boolean}
+     */
+    spares(lander) {
+        return this.graceTimer > 0 && this.sparedPilot === lander.pilot;
+    }
+
     /**
      * Transform into flagship
      * @param {THREE.Scene} scene
@@ -85,10 +196,22 @@ export class Meteor extends Entity {
     transformToFlagship(scene) {
         // Remove old mesh
         scene.remove(this.mesh);
+
+        this.createFlagshipMesh();
+        this.health = Config.FLAGSHIP_HEALTH;
+        this.mode = FlagshipMode.TRACK;
+        this.fireTimer = Config.FLAGSHIP_FIRE_INTERVAL;
+
+        scene.add(this.mesh);
+    }
+
+    /**
+     * Replace the rock mesh with the flagship mesh in place
+     */
+    createFlagshipMesh() {
         this.mesh.geometry.dispose();
         this.mesh.material.dispose();
 
-        // Create flagship mesh
         const group = new THREE.Group();
 
         // Torus body
@@ -129,63 +252,200 @@ export class Meteor extends Entity {
 
         this.mesh = group;
         this.isFlagship = true;
-        this.velocity.x *= 2;
         this.radius = 1.2;
         this.points = Config.SCORE_FLAGSHIP;
+    }
+
+    /**
+     * Capture meteor state for saving
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            level: this.level,
+            shape: this.shape,
+            scale: this.scale,
+            rotation: this.mesh.rotation.toArray().slice(0, 3),
+            spin: { ...this.rotation },
+            isFlagship: this.isFlagship,
+            willBecomeFlagship: this.willBecomeFlagship,
+            flashTimer: this.flashTimer,
+            points: this.points,
+            health: this.health,
+            mode: this.mode,
+            fireTimer: this.fireTimer,
+            retreatTimer: this.retreatTimer,
+            sparedPilot: this.sparedPilot,
+            graceTimer: this.graceTimer
+        };
+    }
+
+    /**
+     * Restore state captured by serialize()
+     * Call before the meteor is added to the scene
+     * @param {Object} data
+     */
+    restore(data) {
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.createMesh(data.shape, data.scale);
+
+        if (data.isFlagship) {
+            this.createFlagshipMesh();
+        }
+
+        super.restore(data);
+        this.level = data.level;
+        this.mesh.rotation.set(...data.rotation);
+        this.rotation = { ...data.spin };
+        this.willBecomeFlagship = data.willBecomeFlagship;
+        this.flashTimer = data.flashTimer;
+        this.points = data.points;
+        this.health = data.health || (data.isFlagship ? Config.FLAGSHIP_HEALTH : 1);
+        this.mode = data.mode || FlagshipMode.TRACK;
+        this.fireTimer = data.fireTimer || 0;
+        this.retreatTimer = data.retreatTimer || 0;
+        this.sparedPilot = data.graceTimer ? data.sparedPilot : null;
+        this.graceTimer = data.graceTimer || 0;
+    }
+
+    /**
+     * Take a bullet hit; a Flagship that survives it retreats
+     * @returns {number} Hits left
+     */
+    takeHit() {
+        this.health = Math.max(0, this.health - 1);
 
-        scene.add(group);
+        if (this.health > 0) {
+            this.mode = FlagshipMode.RETREAT;
+            this.retreatTimer = Config.FLAGSHIP_RETREAT_TIME;
+        }
+
+        return this.health;
+    }
+
+    /**
+     * Steer a Flagship after its target
+     * Descending landers that come within Config.FLAGSHIP_DIVE_RANGE are dived
+     * at; climbing ones are shot at every Config.FLAGSHIP_FIRE_INTERVAL seconds
+     * @param {number} deltaTime
+     * @param {Lander|null} target - Lander to hunt, or null to drift
+     * @returns {boolean} True if it fires at the target this step
+     */
+    updateFlagship(deltaTime, target) {
+        this.fireTimer = Math.max(0, this.fireTimer - deltaTime);
+
+        if (this.retreatTimer > 0) {
+            this.retreatTimer = Math.max(0, this.retreatTimer - deltaTime);
+            if (this.retreatTimer === 0) {
+                this.mode = FlagshipMode.TRACK;
+            }
+        }
+
+        if (!target) {
+            if (this.mode === FlagshipMode.DIVE) {
+                this.mode = FlagshipMode.TRACK;
+            }
+            return false;
+        }
+
+        const dx = target.position.x - this.position.x;
+        const dy = target.position.y - this.position.y;
+        const distance = Math.hypot(dx, dy) || 1;
+        const phase = target.getFlightPhase();
+        let desired;
+
+        if (this.mode === FlagshipMode.RETREAT) {
+            desired = { x: (-dx / distance) * Config.FLAGSHIP_SPEED, y: (-dy / distance) * Config.FLAGSHIP_SPEED };
+        } else if (phase === Config.PHASE.DESCENT && distance < Config.FLAGSHIP_DIVE_RANGE) {
+            this.mode = FlagshipMode.DIVE;
+            desired = { x: (dx / distance) * Config.FLAGSHIP_DIVE_SPEED, y: (dy / distance) * Config.FLAGSHIP_DIVE_SPEED };
+        } else {
+            // Line up under or over the lander, closing in slowly on its height
+            this.mode = FlagshipMode.TRACK;
+            const speed = Config.FLAGSHIP_SPEED;
+            desired = {
+                x: Math.max(-speed, Math.min(speed, dx)),
+                y: phase === Config.PHASE.ASCENT ? 0 : Math.max(-speed / 2, Math.min(speed / 2, dy))
+            };
+        }
+
+        const turn = Math.min(1, Config.FLAGSHIP_TURN_RATE * deltaTime);
+        this.velocity.x += (desired.x - this.velocity.x) * turn;
+        this.velocity.y += (desired.y - this.velocity.y) * turn;
+
+        if (this.mode === FlagshipMode.TRACK && phase === Config.PHASE.ASCENT && this.fireTimer === 0) {
+            this.fireTimer = Config.FLAGSHIP_FIRE_INTERVAL;
+            return true;
+        }
+
+        return false;
     }
 
     /**
      * Update meteor
      * @param {number} deltaTime
      * @param {THREE.Scene} scene - Scene for flagship transformation
+     * @param {Lander|null} [target] - Lander a Flagship hunts
+     * @returns {boolean} True if a Flagship fires at its target this step
      */
-    update(deltaTime, scene = null) {
-        if (!this.active) return;
+    update(deltaTime, scene = null, target = null) {
+        if (!this.active) return false;
+
+        const fires = this.isFlagship && this.updateFlagship(deltaTime, target);
+        this.graceTimer = Math.max(0, this.graceTimer - deltaTime);
 
         // Move meteor
-        this.mesh.position.x += this.velocity.x;
-        this.mesh.position.y += this.velocity.y;
+        this.mesh.position.x += this.velocity.x * deltaTime;
+        this.mesh.position.y += this.velocity.y * deltaTime;
 
         // Rotate
-        this.mesh.rotation.x += this.rotation.x;
-        this.mesh.rotation.y += this.rotation.y;
-        this.mesh.rotation.z += this.rotation.z;
+        this.mesh.rotation.x += this.rotation.x * deltaTime;
+        this.mesh.rotation.y += this.rotation.y * deltaTime;
+        this.mesh.rotation.z += this.rotation.z * deltaTime;
 
         // Bounce off horizontal edges
         const halfWidth = Config.GAME_WIDTH / 2 - 2;
-        if (this.mesh.position.x < -halfWidth || this.mesh.position.x > halfWidth) {
+        const topBound = Config.GAME_HEIGHT / 2 - 15;
+        const bottomBound = -Config.GAME_HEIGHT / 2 + 5;
+
+        if (this.isFlagship) {
+            // A Flagship steers itself, but stays in the meteor field
+            this.mesh.position.x = Math.max(-halfWidth, Math.min(halfWidth, this.mesh.position.x));
+            this.mesh.position.y = Math.max(bottomBound, Math.min(topBound, this.mesh.position.y));
+        } else if (this.mesh.position.x < -halfWidth || this.mesh.position.x > halfWidth) {
             this.velocity.x *= -1;
         }
 
         // Wrap vertically (keep meteors out of safe zone near mothership)
-        const topBound = Config.GAME_HEIGHT / 2 - 15;
-        const bottomBound = -Config.GAME_HEIGHT / 2 + 5;
-
         if (this.mesh.position.y < bottomBound) {
             this.mesh.position.y = topBound - 3;
+            this.previousPosition.y = this.mesh.position.y;
         } else if (this.mesh.position.y > topBound) {
             this.mesh.position.y = bottomBound + 3;
+            this.previousPosition.y = this.mesh.position.y;
         }
 
         // Flagship transformation
         if (this.willBecomeFlagship && !this.isFlagship && scene) {
-            this.flashTimer += 0.05;
+            this.flashTimer += deltaTime;
 
             if (this.flashTimer > Config.FLAGSHIP_FLASH_DURATION) {
                 this.transformToFlagship(scene);
             } else if (this.flashTimer > 0) {
                 // Flash effect
-                const flash = Math.sin(this.flashTimer * 10) > 0;
+                const flash = Math.sin(this.flashTimer * 30) > 0;
                 this.mesh.material.emissive.setHex(flash ? 0xff00ff : 0x222222);
             }
         }
 
         // Flagship special rotation
         if (this.isFlagship) {
-            this.mesh.rotation.z += 0.05;
+            this.mesh.rotation.z += 3 * deltaTime;
         }
+
+        return fires;
     }
 }
 
@@ -11,6 +11,7 @@ export class Mothership extends Entity {
     constructor() {
         super();
         this.baseY = Config.GAME_HEIGHT / 2 - 3;
+        this.elapsed = 0;
         this.createMesh();
         this.setPosition(0, this.baseY, 0);
     }
@@ -69,11 +70,13 @@ export class Mothership extends Entity {
      * @param {number} deltaTime
      */
     update(deltaTime) {
+        this.elapsed += deltaTime;
+
         // Gentle bob animation
-        this.mesh.position.y = this.baseY + Math.sin(Date.now() * 0.001) * 0.5;
+        this.mesh.position.y = this.baseY + Math.sin(this.elapsed) * 0.5;
 
         // Docking bay pulse
-        const pulse = (Math.sin(Date.now() * 0.005) + 1) / 2;
+        const pulse = (Math.sin(this.elapsed * 5) + 1) / 2;
         this.dockingBay.material.color.setRGB(0, pulse, 0);
     }
 }
@@ -4,7 +4,9 @@
 
 export { Entity } from './Entity.js';
 export { Lander } from './Lander.js';
-export { Meteor } from './Meteor.js';
+export { GhostLander } from './GhostLander.js';
+export { Meteor, FlagshipMode } from './Meteor.js';
+export { FlagshipShot } from './FlagshipShot.js';
 export { Astronaut, AstronautState } from './Astronaut.js';
 export { Bullet } from './Bullet.js';
 export { Mothership } from './Mothership.js';
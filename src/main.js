@@ -6,11 +6,19 @@
  */
 
 import { Game } from './core/Game.js';
+import { loadLevels } from './systems/LevelManager.js';
+
+const LEVELS_URL = 'levels/levels.json';
+
+let game = null;
 
 // Initialize game when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // Without the level file every level is generated
+    const levels = await loadLevels(LEVELS_URL);
+
     try {
-        const game = new Game('game-container');
+        game = new Game('game-container', { levels });
 
         // Expose game instance for debugging (optional)
         // window.game = game;
@@ -25,7 +33,24 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
-// Handle visibility change (pause when tab is hidden)
+// Pause and save when the tab is hidden (the page may never come back)
 document.addEventListener('visibilitychange', () => {
-    // Game will naturally pause/resume through requestAnimationFrame
+    if (game && document.hidden) {
+        game.pause();
+        game.saveGame();
+    }
+});
+
+// Pause when the window loses focus
+window.addEventListener('blur', () => {
+    if (game) {
+        game.pause();
+    }
+});
+
+// Save the game in progress when the page is closed or navigated away from
+window.addEventListener('pagehide', () => {
+    if (game) {
+        game.saveGame();
+    }
 });
@@ -0,0 +1,270 @@
+/**
+ * Achievement System
+ * Counts what happens in the run in play from game state and collision events,
+ * unlocks achievements (core/Achievements.js) whose condition is met and keeps
+ * the unlocks in localStorage
+ */
+
+import { Config } from '../core/Config.js';
+import { ACHIEVEMENTS } from '../core/Achievements.js';
+
+const STORAGE_KEY = 'meteorMission.achievements';
+
+/**
+ * Collisions that wreck a lander
+ */
+const WRECKING_COLLISIONS = [
+    'lander-meteor', 'lander-ground', 'lander-boundary', 'lander-hard-landing', 'bullet-lander', 'shot-lander'
+];
+
+/**
+ * Create the counters of a run that has just started
+ * @returns {Object}
+ */
+function createRun() {
+    return {
+        score: 0,
+        level: 1,
+        rescued: 0,
+        shots: 0,
+        meteorsDestroyed: 0,
+        flagshipsDestroyed: 0,
+        // Fraction of a full tank left on the emptiest touchdown
+        lowestLandingFuel: 1,
+        levelsClearedWithoutThrust: 0,
+        levelsClearedWithoutLoss: 0,
+        // Whether the level in play has seen thrust or a lost life yet
+        levelThrust: false,
+        levelLoss: false
+    };
+}
+
+class AchievementSystem {
+    constructor() {
+        // Unlock dates (ISO strings) keyed by achievement id
+        this.unlocked = {};
+        // Counters of the run being tracked, or null between runs
+        this.run = null;
+        this.listeners = new Map();
+        // Subscriptions to the game state, removed by disconnect()
+        this.subscriptions = [];
+        this.load();
+    }
+
+    /**
+     * Check if persistent storage is available (not in headless runs)
+     * @returns {boolean}
+     */
+    isStorageAvailable() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    /**
+     * Load the unlocks from localStorage
+     */
+    load() {
+        if (!this.isStorageAvailable()) return;
+
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (data && data.unlocked) {
+                this.unlocked = data.unlocked;
+            }
+        } catch (e) {
+            console.warn('Could not load achievements:', e);
+        }
+    }
+
+    /**
+     * Save the unlocks to localStorage
+     */
+    save() {
+        if (!this.isStorageAvailable()) return;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ unlocked: this.unlocked }));
+        } catch (e) {
+            console.warn('Could not save achievements:', e);
+        }
+    }
+
+    /**
+     * Listen to a game's state and collisions
+     * @param {Object} state - The game state
+     * @param {CollisionSystem} collisions - The game's collision system
+     */
+    connect(state, collisions) {
+        this.disconnect();
+
+        const subscribe = (event, callback) => {
+            state.on(event, callback);
+            this.subscriptions.push({ state, event, callback });
+        };
+
+        subscribe('score', score => this.track(run => {
+            run.score = Math.max(run.score, score);
+        }));
+        subscribe('level', level => this.track(run => {
+            run.level = Math.max(run.level, level);
+        }));
+        subscribe('levelUp', () => this.track(run => {
+            if (!run.levelThrust) run.levelsClearedWithoutThrust++;
+            if (!run.levelLoss) run.levelsClearedWithoutLoss++;
+            run.levelThrust = false;
+            run.levelLoss = false;
+        }));
+        // The next player's turn starts on a level of their own
+        subscribe('playerChange', () => this.track(run => {
+            run.levelThrust = false;
+            run.levelLoss = false;
+        }));
+        // Climbing to the mothership burns fuel without the pilot thrusting
+        subscribe('fuelConsumed', ({ source }) => this.track(run => {
+            if (source === 'thrust') run.levelThrust = true;
+        }));
+
+        collisions.onCollision('bullet-meteor', (bullet, meteor) => this.track(run => {
+            run.meteorsDestroyed++;
+            if (meteor.isFlagship) run.flagshipsDestroyed++;
+        }));
+        collisions.onCollision('lander-pad', lander => this.track(run => {
+            run.lowestLandingFuel = Math.min(run.lowestLandingFuel, state.getFuel(lander.pilot) / Config.FUEL_MAX);
+        }));
+        collisions.onCollision('lander-mothership', lander => this.track(run => {
+            if (state.hasAstronaut(lander.pilot)) run.rescued++;
+        }));
+        WRECKING_COLLISIONS.forEach(type => collisions.onCollision(type, () => this.track(run => {
+            run.levelLoss = true;
+        })));
+    }
+
+    /**
+     * Stop listening to the game state
+     * (the collision system drops its callbacks when its game is disposed)
+     */
+    disconnect() {
+        this.subscriptions.forEach(({ state, event, callback }) => state.off(event, callback));
+        this.subscriptions = [];
+    }
+
+    /**
+     * Start tracking a run
+     * @param {Object|null} [run] - Counters of a saved run being continued
+     */
+    startRun(run = null) {
+        this.run = { ...createRun(), ...run };
+    }
+
+    /**
+     * Stop tracking (between runs, and during replays and editor test runs)
+     */
+    stopRun() {
+        this.run = null;
+    }
+
+    /**
+     * Copy the counters of the run being tracked, for a saved game
+     * @returns {Object|null}
+     */
+    serializeRun() {
+        return this.run ? { ...this.run } : null;
+    }
+
+    /**
+     * Record a shot fired (shots are not part of the game state)
+     */
+    recordShot() {
+        this.track(run => {
+            run.shots++;
+        });
+    }
+
+    /**
+     * Update the counters of the run being tracked, then unlock whatever they earn
+     * @param {Function} update - Called with the counters
+     */
+    track(update) {
+        if (!this.run) return;
+
+        update(this.run);
+        this.evaluate();
+    }
+
+    /**
+     * Unlock every locked achievement whose condition the run meets
+     */
+    evaluate() {
+        Object.values(ACHIEVEMENTS).forEach(achievement => {
+            if (this.isUnlocked(achievement.id) || !achievement.condition(this.run)) return;
+
+            this.unlocked[achievement.id] = new Date().toISOString();
+            this.save();
+            this.emit('unlock', achievement);
+        });
+    }
+
+    /**
+     * Check if an achievement has been unlocked
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isUnlocked(id) {
+        return Boolean(this.unlocked[id]);
+    }
+
+    /**
+     * Get every achievement with its unlock state, in table order
+     * @returns {Array<{id: string, name: string, description: string, unlocked: boolean, date: string|null}>}
+     */
+    getAll() {
+        return Object.values(ACHIEVEMENTS).map(({ id, name, description }) => ({
+            id,
+            name,
+            description,
+            unlocked: this.isUnlocked(id),
+            date: this.unlocked[id] || null
+        }));
+    }
+
+    /**
+     * Subscribe to 'unlock' (called with the achievement)
+     * @param {string} event
+     * @param {Function} callback
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+
+    /**
+     * Unsubscribe
+     * @param {string} event
+     * @param {Function} callback
+     */
+    off(event, callback) {
+        if (this.listeners.has(event)) {
+            const callbacks = this.listeners.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index > -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Notify listeners
+     * @param {string} event
+     * @param {*} data
+     */
+    emit(event, data) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(cb => cb(data));
+        }
+    }
+}
+
+// Export singleton instance
+export const achievementSystem = new AchievementSystem();
+export default achievementSystem;
@@ -75,6 +75,30 @@ class AudioSystem {
             case 'land':
                 this._playLand(oscillator, gainNode, now, volume);
                 break;
+            case 'extraLife':
+                this._playExtraLife(oscillator, gainNode, now, volume);
+                break;
+            case 'fuelWarning':
+                this._playFuelWarning(oscillator, gainNode, now, volume);
+                break;
+            case 'tow':
+                this._playTow(oscillator, gainNode, now, volume);
+                break;
+            case 'astronautLost':
+                this._playAstronautLost(oscillator, gainNode, now, volume);
+                break;
+            case 'flagship':
+                this._playFlagship(oscillator, gainNode, now, volume);
+                break;
+            case 'flagshipDive':
+                this._playFlagshipDive(oscillator, gainNode, now, volume);
+                break;
+            case 'flagshipShoot':
+                this._playFlagshipShoot(oscillator, gainNode, now, volume);
+                break;
+            case 'flagshipHit':
+                this._playFlagshipHit(oscillator, gainNode, now, volume);
+                break;
             default:
                 console.warn(`Unknown sound type: ${type}`);
                 return;
@@ -141,6 +165,92 @@ class AudioSystem {
         osc.stop(now + 0.2);
     }
 
+    _playExtraLife(osc, gain, now, vol) {
+        osc.type = 'square';
+        osc.frequency.setValueAtTime(523, now);
+        osc.frequency.setValueAtTime(659, now + 0.1);
+        osc.frequency.setValueAtTime(784, now + 0.2);
+        osc.frequency.setValueAtTime(1047, now + 0.3);
+        gain.gain.setValueAtTime(0.15 * vol, now);
+        gain.gain.setValueAtTime(0.15 * vol, now + 0.4);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.6);
+        osc.start(now);
+        osc.stop(now + 0.6);
+    }
+
+    _playFuelWarning(osc, gain, now, vol) {
+        osc.type = 'square';
+        osc.frequency.setValueAtTime(880, now);
+        osc.frequency.setValueAtTime(660, now + 0.08);
+        gain.gain.setValueAtTime(0.12 * vol, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.16);
+        osc.start(now);
+        osc.stop(now + 0.16);
+    }
+
+    _playTow(osc, gain, now, vol) {
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(200, now);
+        osc.frequency.exponentialRampToValueAtTime(600, now + 0.5);
+        gain.gain.setValueAtTime(0.2 * vol, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.5);
+        osc.start(now);
+        osc.stop(now + 0.5);
+    }
+
+    _playAstronautLost(osc, gain, now, vol) {
+        osc.type = 'sine';
+        osc.frequency.setValueAtTime(440, now);
+        osc.frequency.exponentialRampToValueAtTime(110, now + 0.8);
+        gain.gain.setValueAtTime(0.25 * vol, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.8);
+        osc.start(now);
+        osc.stop(now + 0.8);
+    }
+
+    _playFlagship(osc, gain, now, vol) {
+        osc.type = 'square';
+        osc.frequency.setValueAtTime(300, now);
+        osc.frequency.linearRampToValueAtTime(600, now + 0.15);
+        osc.frequency.linearRampToValueAtTime(300, now + 0.3);
+        osc.frequency.linearRampToValueAtTime(600, now + 0.45);
+        osc.frequency.linearRampToValueAtTime(300, now + 0.6);
+        gain.gain.setValueAtTime(0.15 * vol, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.6);
+        osc.start(now);
+        osc.stop(now + 0.6);
+    }
+
+    _playFlagshipDive(osc, gain, now, vol) {
+        osc.type = 'sawtooth';
+        osc.frequency.setValueAtTime(900, now);
+        osc.frequency.exponentialRampToValueAtTime(150, now + 0.5);
+        gain.gain.setValueAtTime(0.15 * vol, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.5);
+        osc.start(now);
+        osc.stop(now + 0.5);
+    }
+
+    _playFlagshipShoot(osc, gain, now, vol) {
+        osc.type = 'square';
+        osc.frequency.setValueAtTime(200, now);
+        osc.frequency.exponentialRampToValueAtTime(80, now + 0.15);
+        gain.gain.setValueAtTime(0.2 * vol, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.15);
+        osc.start(now);
+        osc.stop(now + 0.15);
+    }
+
+    _playFlagshipHit(osc, gain, now, vol) {
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(1200, now);
+        osc.frequency.exponentialRampToValueAtTime(400, now + 0.2);
+        gain.gain.setValueAtTime(0.25 * vol, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.2);
+        osc.start(now);
+        osc.stop(now + 0.2);
+    }
+
     /**
      * Clean up audio context
      */
@@ -4,6 +4,7 @@
  */
 
 import { Config } from '../core/Config.js';
+import { isCrashLanding } from '../core/Landing.js';
 
 export class CollisionSystem {
     constructor() {
@@ -35,7 +36,7 @@ export class CollisionSystem {
     }
 
     /**
-     * Check collision between lander and meteors
+     * Check collision between lander and meteors, other than fragments sparing it
      * @param {Lander} lander
      * @param {Meteor[]} meteors
      * @returns {Meteor|null} Collided meteor or null
@@ -44,7 +45,7 @@ export class CollisionSystem {
         if (!lander.active) return null;
 
         for (const meteor of meteors) {
-            if (!meteor.active) continue;
+            if (!meteor.active || meteor.spares(lander)) continue;
 
             if (lander.collidesWith(meteor)) {
                 this.triggerCollision('lander-meteor', lander, meteor);
@@ -57,22 +58,77 @@ export class CollisionSystem {
 
     /**
      * Check collision between bullets and meteors
+     * A hit that leaves a Flagship with health to spare is a 'bullet-flagship'
+     * collision; one that destroys a meteor or Flagship is 'bullet-meteor'
      * @param {Bullet[]} bullets
      * @param {Meteor[]} meteors
-     * @returns {Array<{bullet: Bullet, meteor: Meteor}>} Array of collisions
+     * @returns {Array<{bullet: Bullet, meteor: Meteor, destroyed: boolean}>} Array of collisions
      */
     checkBulletMeteorCollisions(bullets, meteors) {
         const collisions = [];
+        // Hits taken by each meteor this step, so no more land once it is destroyed
+        const hits = new Map();
 
         for (const bullet of bullets) {
             if (!bullet.active) continue;
 
             for (const meteor of meteors) {
-                if (!meteor.active) continue;
+                const taken = hits.get(meteor) || 0;
+                if (!meteor.active || taken >= meteor.health) continue;
 
                 if (bullet.collidesWith(meteor)) {
-                    collisions.push({ bullet, meteor });
-                    this.triggerCollision('bullet-meteor', bullet, meteor);
+                    const destroyed = taken + 1 >= meteor.health;
+                    hits.set(meteor, taken + 1);
+                    collisions.push({ bullet, meteor, destroyed });
+                    this.triggerCollision(destroyed ? 'bullet-meteor' : 'bullet-flagship', bullet, meteor);
+                }
+            }
+        }
+
+        return collisions;
+    }
+
+    /**
+     * Check a lander in flight against Flagship shots
+     * Landed, towed and wrecked landers cannot be hit
+     * @param {Lander} lander
+     * @param {FlagshipShot[]} shots
+     * @returns {FlagshipShot|null} The shot that hit it, or null
+     */
+    checkShotLanderCollision(lander, shots) {
+        if (!lander.isFlying() || lander.towing || lander.getFlightPhase() === Config.PHASE.LANDED) return null;
+
+        for (const shot of shots) {
+            if (!shot.active) continue;
+
+            if (shot.collidesWith(lander)) {
+                this.triggerCollision('shot-lander', shot, lander);
+                return shot;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check bullets against landers other than the one that fired them
+     * (co-op friendly fire)
+     * @param {Bullet[]} bullets
+     * @param {Lander[]} landers
+     * @returns {Array<{bullet: Bullet, lander: Lander}>} Array of collisions
+     */
+    checkBulletLanderCollisions(bullets, landers) {
+        const collisions = [];
+
+        for (const bullet of bullets) {
+            if (!bullet.active) continue;
+
+            for (const lander of landers) {
+                if (lander.pilot === bullet.owner || !lander.isFlying()) continue;
+
+                if (bullet.collidesWith(lander)) {
+                    collisions.push({ bullet, lander });
+                    this.triggerCollision('bullet-lander', bullet, lander);
                 }
             }
         }
@@ -99,6 +155,25 @@ export class CollisionSystem {
         return null;
     }
 
+    /**
+     * Check if lander touched down on a pad too fast, drifting or tilted (see isCrashLanding)
+     * @param {Lander} lander
+     * @param {LandingPad[]} pads
+     * @returns {boolean}
+     */
+    checkHardLanding(lander, pads) {
+        if (!lander.isAtGroundLevel() || !isCrashLanding(lander)) return false;
+
+        for (const pad of pads) {
+            if (pad.isPositionOverPad(lander.position.x)) {
+                this.triggerCollision('lander-hard-landing', lander, pad);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
     /**
      * Check if lander hit the ground (not on a pad)
      * @param {Lander} lander
@@ -0,0 +1,140 @@
+/**
+ * Combo System
+ * Raises the score multiplier (the game state's 'multiplier', applied by
+ * addScore()) for chains of quick meteor kills, for rescues without losing a
+ * life and for fast round trips. The multiplier drops a step at a time when
+ * nothing keeps it up, and back to 1 when a lander is lost.
+ * Runs on simulation time, so replays score the same.
+ */
+
+import { Config } from '../core/Config.js';
+
+export class ComboTracker {
+    /**
+     * @param {Object} state - The game state
+     */
+    constructor(state) {
+        this.state = state;
+        this.reset();
+    }
+
+    /**
+     * Start over with no combo and a multiplier of 1
+     */
+    reset() {
+        // Meteor kills in the current chain, and seconds left to extend it
+        this.chain = 0;
+        this.chainTimer = 0;
+        // Seconds before the multiplier drops a step
+        this.decayTimer = 0;
+        // Seconds each lander (by pilot) has been away from the mothership
+        this.trips = [];
+
+        this.state.setMultiplier(1);
+    }
+
+    /**
+     * Count down the chain and decay timers and time the round trips
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        this.trips = this.trips.map(trip => trip + deltaTime);
+
+        if (this.chainTimer > 0) {
+            this.chainTimer = Math.max(0, this.chainTimer - deltaTime);
+            if (this.chainTimer === 0) {
+                this.chain = 0;
+            }
+        }
+
+        if (this.state.get('multiplier') > 1) {
+            this.decayTimer -= deltaTime;
+            if (this.decayTimer <= 0) {
+                this.state.setMultiplier(Math.max(1, this.state.get('multiplier') - Config.COMBO_STEP));
+                this.decayTimer = Config.COMBO_DECAY_TIME;
+            }
+        }
+    }
+
+    /**
+     * Start timing a lander's round trip as it leaves the mothership
+     * @param {number} pilot
+     */
+    startTrip(pilot) {
+        this.trips[pilot] = 0;
+    }
+
+    /**
+     * Count a meteor kill; every Config.COMBO_CHAIN_LENGTH kills in a chain
+     * raise the multiplier
+     */
+    recordKill() {
+        this.chain = this.chainTimer > 0 ? this.chain + 1 : 1;
+        this.chainTimer = Config.COMBO_KILL_WINDOW;
+
+        if (this.chain % Config.COMBO_CHAIN_LENGTH === 0) {
+            this.raise(1);
+        }
+    }
+
+    /**
+     * Count a rescue, worth a second step if the lander made a fast round trip
+     * @param {number} pilot - Lander that docked with the astronaut
+     */
+    recordRescue(pilot) {
+        const trip = this.trips[pilot];
+        const fast = trip !== undefined && trip <= Config.COMBO_ROUND_TRIP_TIME;
+
+        this.raise(fast ? 2 : 1);
+    }
+
+    /**
+     * Drop the combo when a lander is lost
+     */
+    recordLoss() {
+        this.chain = 0;
+        this.chainTimer = 0;
+        this.state.setMultiplier(1);
+    }
+
+    /**
+     * Raise the multiplier, up to Config.COMBO_MAX, and hold it for a while
+     * @param {number} steps
+     */
+    raise(steps) {
+        this.state.setMultiplier(Math.min(Config.COMBO_MAX, this.state.get('multiplier') + steps * Config.COMBO_STEP));
+        this.decayTimer = Config.COMBO_DECAY_TIME;
+    }
+
+    /**
+     * Copy the timers for a saved game (the multiplier is part of the game state)
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            chain: this.chain,
+            chainTimer: this.chainTimer,
+            decayTimer: this.decayTimer,
+            trips: [...this.trips]
+        };
+    }
+
+    /**
+     * Restore the timers of a saved game
+     * @param {Object} [data] - Values returned by serialize(); saves without
+     *   them start over with no combo
+     */
+    restore(data) {
+        if (!data) {
+            this.reset();
+            return;
+        }
+
+        this.chain = data.chain;
+        this.chainTimer = data.chainTimer;
+        this.decayTimer = data.decayTimer;
+        this.trips = [...data.trips];
+    }
+}
+
+export default ComboTracker;
@@ -0,0 +1,246 @@
+/**
+ * Ghost System
+ * Records the lander's path through a run and keeps the player's best run
+ * per seed and difficulty profile in localStorage, so a later run on the same
+ * seed can be raced against it. A ghost holds the sampled trajectory, the
+ * steps at which the lander landed and docked, and the run's replay (its input trace).
+ */
+
+import { Config } from '../core/Config.js';
+
+const STORAGE_KEY = 'meteorMission.ghosts';
+
+/**
+ * Round a coordinate for storage
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export class GhostRecorder {
+    constructor() {
+        this.recording = false;
+        this.samples = [];
+        this.events = [];
+        this.steps = 0;
+    }
+
+    /**
+     * Start recording a new run
+     */
+    start() {
+        this.recording = true;
+        this.samples = [];
+        this.events = [];
+        this.steps = 0;
+    }
+
+    /**
+     * Check if a run is being recorded
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recording;
+    }
+
+    /**
+     * Record the lander at the end of one simulation step
+     * Only every Config.GHOST_SAMPLE_INTERVAL-th step is kept; playback
+     * interpolates between samples
+     * @param {{x: number, y: number, tilt: number, thrust: number, visible: boolean}} pose
+     */
+    record(pose) {
+        if (!this.recording) return;
+
+        if (this.steps % Config.GHOST_SAMPLE_INTERVAL === 0) {
+            this.samples.push([round(pose.x), round(pose.y), round(pose.tilt), round(pose.thrust), pose.visible ? 1 : 0]);
+        }
+        this.steps++;
+    }
+
+    /**
+     * Note a landing or docking on the current step
+     * @param {string} type - 'land' or 'dock'
+     */
+    mark(type) {
+        if (!this.recording) return;
+        this.events.push([type, this.steps]);
+    }
+
+    /**
+     * Stop recording
+     * @returns {{interval: number, steps: number, samples: Array<number[]>, events: Array<Array>}}
+     */
+    stop() {
+        this.recording = false;
+
+        return {
+            interval: Config.GHOST_SAMPLE_INTERVAL,
+            steps: this.steps,
+            samples: this.samples,
+            events: this.events
+        };
+    }
+}
+
+export class GhostPlayer {
+    /**
+     * @param {Object} ghost - Stored ghost (see GhostSystem.submit())
+     */
+    constructor(ghost) {
+        this.ghost = ghost;
+    }
+
+    /**
+     * Get the ghost lander's pose on a step of the run
+     * The ghost disappears once its run is over
+     * @param {number} step
+     * @returns {{x: number, y: number, tilt: number, thrust: number, visible: boolean}}
+     */
+    getPose(step) {
+        const { samples, interval, steps } = this.ghost;
+        const position = step / interval;
+        const index = Math.min(Math.floor(position), samples.length - 1);
+        const [x, y, tilt, thrust, visible] = samples[index];
+        const next = samples[index + 1];
+
+        const pose = { x, y, tilt, thrust, visible: visible === 1 && step < steps };
+
+        // Interpolate between samples, but not across a respawn
+        if (next && next[4] === visible) {
+            const t = position - index;
+            pose.x += (next[0] - x) * t;
+            pose.y += (next[1] - y) * t;
+            pose.tilt += (next[2] - tilt) * t;
+        }
+
+        return pose;
+    }
+
+    /**
+     * Get the step of the ghost's n-th event of a type
+     * @param {string} type - 'land' or 'dock'
+     * @param {number} n - Occurrence, starting at 0
+     * @returns {number|null} The step, or null if the ghost got no further
+     */
+    getEventStep(type, n) {
+        const events = this.ghost.events.filter(([eventType]) => eventType === type);
+        return events[n] ? events[n][1] : null;
+    }
+
+    /**
+     * Get the score of the ghost's run
+     * @returns {number}
+     */
+    getScore() {
+        return this.ghost.score;
+    }
+}
+
+class GhostSystem {
+    constructor() {
+        // Best runs keyed by difficulty and seed
+        this.ghosts = {};
+        this.load();
+    }
+
+    /**
+     * Check if persistent storage is available (not in headless runs)
+     * @returns {boolean}
+     */
+    isStorageAvailable() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    /**
+     * Load the ghosts from localStorage
+     */
+    load() {
+        if (!this.isStorageAvailable()) return;
+
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (data && data.ghosts) {
+                this.ghosts = data.ghosts;
+            }
+        } catch (e) {
+            console.warn('Could not load ghosts:', e);
+        }
+    }
+
+    /**
+     * Save the ghosts to localStorage
+     */
+    save() {
+        if (!this.isStorageAvailable()) return;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ ghosts: this.ghosts }));
+        } catch (e) {
+            console.warn('Could not save ghosts:', e);
+        }
+    }
+
+    /**
+     * Build the storage key of a seed on a profile
+     * @param {string} difficulty - Profile id
+     * @param {number} seed
+     * @returns {string}
+     */
+    key(difficulty, seed) {
+        return `${difficulty}:${seed}`;
+    }
+
+    /**
+     * Get the best run on a seed
+     * @param {string} difficulty - Profile id
+     * @param {number} seed
+     * @returns {Object|null}
+     */
+    getBest(difficulty, seed) {
+        return this.ghosts[this.key(difficulty, seed)] || null;
+    }
+
+    /**
+     * Keep a finished run if it beats the best on its seed: a higher score,
+     * or the same score in less time
+     * Only the Config.GHOST_MAX_RUNS most recently set bests are kept
+     * @param {Object} run
+     * @param {number} run.seed
+     * @param {string} run.difficulty - Profile id
+     * @param {number} run.score
+     * @param {Object} run.track - Recording from GhostRecorder.stop()
+     * @param {Object|null} run.replay - Replay of the run (its input trace)
+     * @returns {boolean} True if the run is the new best
+     */
+    submit({ seed, difficulty, score, track, replay }) {
+        if (!track.samples.length) return false;
+
+        const best = this.getBest(difficulty, seed);
+        if (best && (score < best.score || (score === best.score && track.steps >= best.steps))) {
+            return false;
+        }
+
+        this.ghosts[this.key(difficulty, seed)] = {
+            ...track,
+            seed,
+            difficulty,
+            score,
+            replay,
+            date: new Date().toISOString()
+        };
+
+        // Drop the bests set longest ago
+        const keys = Object.keys(this.ghosts).sort((a, b) => this.ghosts[b].date.localeCompare(this.ghosts[a].date));
+        keys.slice(Config.GHOST_MAX_RUNS).forEach(key => delete this.ghosts[key]);
+
+        this.save();
+        return true;
+    }
+}
+
+// Export singleton instance
+export const ghostSystem = new GhostSystem();
+export default ghostSystem;
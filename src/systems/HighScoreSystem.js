@@ -0,0 +1,127 @@
+/**
+ * High Score System
+ * Keeps the local high-score tables in localStorage, one per difficulty profile
+ */
+
+import { Config } from '../core/Config.js';
+import { DEFAULT_DIFFICULTY } from '../core/Difficulty.js';
+
+const STORAGE_KEY = 'meteorMission.highScores';
+
+class HighScoreSystem {
+    constructor() {
+        this.tables = {};
+        this.lastInitials = 'AAA';
+        this.load();
+    }
+
+    /**
+     * Check if persistent storage is available (not in headless runs)
+     * @returns {boolean}
+     */
+    isStorageAvailable() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    /**
+     * Load the tables from localStorage
+     */
+    load() {
+        if (!this.isStorageAvailable()) return;
+
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!data) return;
+
+            if (data.tables) {
+                this.tables = data.tables;
+            } else if (Array.isArray(data.entries)) {
+                // Tables saved before difficulty profiles were all played on the default profile
+                this.tables = { [DEFAULT_DIFFICULTY]: data.entries };
+            }
+            this.lastInitials = data.lastInitials || this.lastInitials;
+        } catch (e) {
+            console.warn('Could not load high scores:', e);
+        }
+    }
+
+    /**
+     * Save the tables to localStorage
+     */
+    save() {
+        if (!this.isStorageAvailable()) return;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                tables: this.tables,
+                lastInitials: this.lastInitials
+            }));
+        } catch (e) {
+            console.warn('Could not save high scores:', e);
+        }
+    }
+
+    /**
+     * Get table entries for a difficulty profile, best first
+     * @param {string} difficulty - Profile id
+     * @returns {Array<{initials: string, score: number, rescued: number, level: number, date: string, difficulty: string}>}
+     */
+    getEntries(difficulty) {
+        return (this.tables[difficulty] || []).slice(0, Config.HIGH_SCORE_COUNT);
+    }
+
+    /**
+     * Check if a score earns a place in a profile's table
+     * @param {number} score
+     * @param {string} difficulty - Profile id
+     * @returns {boolean}
+     */
+    qualifies(score, difficulty) {
+        const entries = this.getEntries(difficulty);
+
+        if (score <= 0) return false;
+        if (entries.length < Config.HIGH_SCORE_COUNT) return true;
+        return score > entries[entries.length - 1].score;
+    }
+
+    /**
+     * Add an entry to the table of the profile it was played on
+     * Equal scores keep their existing order, so the earlier run ranks higher
+     * @param {Object} entry
+     * @param {string} entry.initials - Three letters
+     * @param {number} entry.score
+     * @param {number} entry.rescued - Astronauts rescued
+     * @param {number} entry.level - Level reached
+     * @param {string} entry.difficulty - Profile id
+     * @returns {number} Rank index of the new entry, or -1 if it did not qualify
+     */
+    add({ initials, score, rescued, level, difficulty }) {
+        if (!this.qualifies(score, difficulty)) return -1;
+
+        const entries = this.getEntries(difficulty);
+        const entry = {
+            initials,
+            score,
+            rescued,
+            level,
+            difficulty,
+            date: new Date().toISOString().slice(0, 10)
+        };
+
+        let rank = entries.findIndex(existing => score > existing.score);
+        if (rank === -1) rank = entries.length;
+
+        entries.splice(rank, 0, entry);
+        entries.length = Math.min(entries.length, Config.HIGH_SCORE_COUNT);
+
+        this.tables[difficulty] = entries;
+        this.lastInitials = initials;
+        this.save();
+
+        return rank;
+    }
+}
+
+// Export singleton instance
+export const highScoreSystem = new HighScoreSystem();
+export default highScoreSystem;
@@ -0,0 +1,124 @@
+/**
+ * Initials Picker
+ * Arcade-style three-letter entry for the high-score table
+ */
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export class InitialsPicker {
+    /**
+     * @param {HTMLElement} container - Element to render the picker into
+     * @param {string} initials - Starting letters
+     * @param {Function} onConfirm - Called with the chosen initials
+     */
+    constructor(container, initials, onConfirm) {
+        this.container = container;
+        this.letters = initials.toUpperCase().padEnd(3, 'A').slice(0, 3).split('');
+        this.cursor = 0;
+        this.onConfirm = onConfirm;
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+
+        this.render();
+        document.addEventListener('keydown', this._onKeyDown);
+    }
+
+    /**
+     * Build the picker DOM
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="initials-picker">
+                ${this.letters.map((letter, index) => `
+                    <div class="initials-slot${index === this.cursor ? ' active' : ''}" data-index="${index}">
+                        <button class="initials-arrow" data-index="${index}" data-step="1">&#9650;</button>
+                        <span class="initials-letter">${letter}</span>
+                        <button class="initials-arrow" data-index="${index}" data-step="-1">&#9660;</button>
+                    </div>
+                `).join('')}
+            </div>
+            <button id="initials-ok-btn" class="menu-btn">ENTER</button>
+        `;
+
+        this.container.querySelectorAll('.initials-arrow').forEach(button => {
+            button.addEventListener('click', () => {
+                this.cursor = Number(button.dataset.index);
+                this.cycle(Number(button.dataset.step));
+            });
+        });
+
+        this.container.querySelector('#initials-ok-btn')
+            .addEventListener('click', () => this.confirm());
+    }
+
+    /**
+     * Change the letter under the cursor
+     * @param {number} step - 1 for next letter, -1 for previous
+     */
+    cycle(step) {
+        const index = LETTERS.indexOf(this.letters[this.cursor]);
+        this.letters[this.cursor] = LETTERS[(index + step + LETTERS.length) % LETTERS.length];
+        this.render();
+    }
+
+    /**
+     * Move the cursor to another slot
+     * @param {number} step - 1 for right, -1 for left
+     */
+    move(step) {
+        this.cursor = Math.max(0, Math.min(this.letters.length - 1, this.cursor + step));
+        this.render();
+    }
+
+    /**
+     * Accept the current initials
+     */
+    confirm() {
+        this.dispose();
+        this.onConfirm(this.letters.join(''));
+    }
+
+    /**
+     * Handle keyboard navigation
+     * @param {KeyboardEvent} event
+     */
+    _onKeyDown(event) {
+        // Ignore auto-repeat so a key held from gameplay cannot skip the entry
+        if (event.repeat) return;
+
+        switch (event.code) {
+            case 'ArrowUp':
+            case 'KeyW':
+                this.cycle(1);
+                break;
+            case 'ArrowDown':
+            case 'KeyS':
+                this.cycle(-1);
+                break;
+            case 'ArrowLeft':
+            case 'KeyA':
+                this.move(-1);
+                break;
+            case 'ArrowRight':
+            case 'KeyD':
+                this.move(1);
+                break;
+            case 'Enter':
+                this.confirm();
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+    }
+
+    /**
+     * Stop listening for keys
+     */
+    dispose() {
+        document.removeEventListener('keydown', this._onKeyDown);
+    }
+}
+
+export default InitialsPicker;
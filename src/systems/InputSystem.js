@@ -1,26 +1,81 @@
 /**
  * Input System
- * Handles keyboard input with configurable key bindings
+ * Handles keyboard and gamepad input with configurable key bindings
  */
 
+// Actions that steer one lander
+export const PILOT_ACTIONS = ['left', 'right', 'up', 'space'];
+
+// Actions that steer the simulation (sampled once per step, recorded in replays):
+// the first pilot's, then the second pilot's suffixed with 2 (co-op only)
+export const GAMEPLAY_ACTIONS = [...PILOT_ACTIONS, ...PILOT_ACTIONS.map(action => `${action}2`)];
+
+// Both key sets fly the one lander
+const SINGLE_BINDINGS = {
+    'ArrowLeft': 'left',
+    'KeyA': 'left',
+    'ArrowRight': 'right',
+    'KeyD': 'right',
+    'ArrowUp': 'up',
+    'KeyW': 'up',
+    'Space': 'space',
+    'KeyP': 'pause',
+    'Escape': 'pause'
+};
+
+// Co-op: WASD and Space for the first pilot, arrows and Enter for the second
+const COOP_BINDINGS = {
+    'KeyA': 'left',
+    'KeyD': 'right',
+    'KeyW': 'up',
+    'Space': 'space',
+    'ArrowLeft': 'left2',
+    'ArrowRight': 'right2',
+    'ArrowUp': 'up2',
+    'Enter': 'space2',
+    'ShiftRight': 'space2',
+    'KeyP': 'pause',
+    'Escape': 'pause'
+};
+
+// Standard gamepad mapping: D-pad or left stick to steer, A to thrust, B or X to fire
+const GAMEPAD_STICK_THRESHOLD = 0.5;
+const GAMEPAD_BUTTONS = {
+    left: [14],
+    right: [15],
+    up: [0, 12],
+    space: [1, 2]
+};
+
+/**
+ * Create an action snapshot with nothing pressed
+ * @returns {Object<string, boolean>}
+ */
+export function createIdleActions() {
+    return Object.fromEntries(GAMEPLAY_ACTIONS.map(action => [action, false]));
+}
+
+/**
+ * Pick one pilot's actions out of a step's actions
+ * @param {Object<string, boolean>} actions - Gameplay actions of a step
+ * @param {number} pilot - Pilot index (0 or 1)
+ * @returns {{left: boolean, right: boolean, up: boolean, space: boolean}}
+ */
+export function getPilotActions(actions, pilot) {
+    const suffix = pilot > 0 ? String(pilot + 1) : '';
+    return Object.fromEntries(PILOT_ACTIONS.map(action => [action, Boolean(actions[`${action}${suffix}`])]));
+}
+
 class InputSystem {
     constructor() {
-        this.keys = {
-            left: false,
-            right: false,
-            up: false,
-            space: false
-        };
-
-        this.keyBindings = {
-            'ArrowLeft': 'left',
-            'KeyA': 'left',
-            'ArrowRight': 'right',
-            'KeyD': 'right',
-            'ArrowUp': 'up',
-            'KeyW': 'up',
-            'Space': 'space'
-        };
+        this.keys = { ...createIdleActions(), pause: false };
+        this.keyBindings = SINGLE_BINDINGS;
+
+        // Gamepads drive the second pilot's actions too in co-op
+        this.coop = false;
+
+        // Actions pressed since the last sample, so short taps are not lost
+        this.tapped = {};
 
         this.listeners = new Map();
         this.enabled = true;
@@ -37,6 +92,41 @@ class InputSystem {
         document.addEventListener('keyup', this._onKeyUp);
     }
 
+    /**
+     * Switch between one shared set of controls and split co-op controls
+     * @param {boolean} coop
+     */
+    setCoop(coop) {
+        this.coop = coop;
+        this.keyBindings = coop ? COOP_BINDINGS : SINGLE_BINDINGS;
+        this.releaseAll();
+    }
+
+    /**
+     * Read the connected gamepads
+     * The first pad flies the first pilot; in co-op the second pad flies the second
+     * @returns {Object<string, boolean>} Gameplay actions held on the pads
+     */
+    readGamepads() {
+        const actions = {};
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return actions;
+
+        const pads = Array.from(navigator.getGamepads()).filter(Boolean).slice(0, this.coop ? 2 : 1);
+        pads.forEach((pad, pilot) => {
+            const suffix = pilot > 0 ? String(pilot + 1) : '';
+            const stick = pad.axes[0] || 0;
+            const held = button => pad.buttons[button] && pad.buttons[button].pressed;
+
+            Object.entries(GAMEPAD_BUTTONS).forEach(([action, buttons]) => {
+                actions[`${action}${suffix}`] = buttons.some(held);
+            });
+            actions[`left${suffix}`] = actions[`left${suffix}`] || stick < -GAMEPAD_STICK_THRESHOLD;
+            actions[`right${suffix}`] = actions[`right${suffix}`] || stick > GAMEPAD_STICK_THRESHOLD;
+        });
+
+        return actions;
+    }
+
     /**
      * Check if an action is currently pressed
      * @param {string} action - Action name (left, right, up, space)
@@ -54,12 +144,72 @@ class InputSystem {
         this.enabled = enabled;
         if (!enabled) {
             // Reset all keys when disabled
-            Object.keys(this.keys).forEach(key => {
-                this.keys[key] = false;
-            });
+            this.releaseAll();
         }
     }
 
+    /**
+     * Release all held keys
+     * Used when focus is lost and keyup events may never arrive
+     */
+    releaseAll() {
+        Object.keys(this.keys).forEach(key => {
+            this.keys[key] = false;
+        });
+        this.tapped = {};
+    }
+
+    /**
+     * Take a snapshot of the gameplay actions for one simulation step
+     * An action counts as pressed if it is held now (on the keyboard or a
+     * gamepad) or was tapped since the previous snapshot
+     * @returns {Object<string, boolean>} e.g. { left: false, right: true, up: false, space: false, ... }
+     */
+    sampleActions() {
+        const actions = {};
+        const gamepads = this.enabled ? this.readGamepads() : {};
+
+        GAMEPLAY_ACTIONS.forEach(action => {
+            actions[action] = Boolean(this.isPressed(action) || this.tapped[action] || gamepads[action]);
+        });
+        this.tapped = {};
+
+        return actions;
+    }
+
+    /**
+     * Set an action's state directly, notifying listeners when it changes
+     * Drives the same events as the keyboard, for scripted or headless input
+     * @param {string} action - Action name (left, right, up, space, pause)
+     * @param {boolean} pressed
+     */
+    setAction(action, pressed) {
+        if (!(action in this.keys)) return;
+
+        const wasPressed = this.keys[action];
+        this.keys[action] = pressed;
+
+        if (pressed && !wasPressed) {
+            this.tapped[action] = true;
+            this._notify(action, true);
+            this._notify('keydown', action);
+        } else if (!pressed && wasPressed) {
+            this._notify(action, false);
+            this._notify('keyup', action);
+        }
+    }
+
+    /**
+     * Set several action states at once
+     * Actions not listed keep their current state
+     * @param {Object<string, boolean>} actions - e.g. { left: true, up: false }
+     */
+    setActions(actions) {
+        Object.entries(actions).forEach(([action, pressed]) => {
+            this.setAction(action, Boolean(pressed));
+        });
+    }
+
     /**
      * Subscribe to input events
      * @param {string} event - Event name ('keydown', 'keyup', or action name)
@@ -105,16 +255,14 @@ class InputSystem {
     _onKeyDown(event) {
         if (!this.enabled) return;
 
+        // Typing into a form field (level editor) is not game input
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
         const action = this.keyBindings[event.code];
         if (action) {
-            const wasPressed = this.keys[action];
-            this.keys[action] = true;
-
-            // Notify on first press only
-            if (!wasPressed) {
-                this._notify(action, true);
-                this._notify('keydown', action);
-            }
+            // Notifies on first press only
+            this.setAction(action, true);
 
             // Prevent default for space to avoid page scrolling
             if (event.code === 'Space') {
@@ -130,9 +278,7 @@ class InputSystem {
     _onKeyUp(event) {
         const action = this.keyBindings[event.code];
         if (action) {
-            this.keys[action] = false;
-            this._notify(action, false);
-            this._notify('keyup', action);
+            this.setAction(action, false);
         }
     }
 
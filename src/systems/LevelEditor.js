@@ -0,0 +1,695 @@
+/**
+ * Level Editor
+ * Designer tool for level sets: place landing pads, paint meteor spawn zones,
+ * tune level values, test-play a level and import/export levels.json
+ */
+
+import * as THREE from 'three';
+import { Config } from '../core/Config.js';
+import { LevelManager, createLevelSet, DEFAULT_PAD_WIDTH } from './LevelManager.js';
+
+// Level values edited through the panel; an empty field falls back to the generator.
+// Numbers typed below a field's min are raised to it
+const FIELDS = [
+    { key: 'name', label: 'NAME', type: 'text' },
+    { key: 'meteorCount', label: 'METEORS', step: 1, min: 0 },
+    { key: 'flagshipChance', label: 'FLAGSHIP CHANCE', step: 0.01, min: 0 },
+    { key: 'safeZone', label: 'SAFE ZONE', step: 1, min: 0 },
+    { key: 'fuelRefill', label: 'FUEL REFILL', step: 5, min: 0 },
+    { key: 'gravity', label: 'GRAVITY', step: 0.1 },
+    { key: 'astronautsRequired', label: 'ASTRONAUTS', step: 1, min: 1 },
+    { key: 'oxygen', label: 'OXYGEN', step: 5, min: 1 },
+    { key: 'oxygenStagger', label: 'OXYGEN STAGGER', step: 5, min: 0 }
+];
+
+const TOOL_HINTS = {
+    pads: 'Click near the ground to add a pad, drag a pad to move it.',
+    zones: 'Drag to paint a meteor spawn zone, drag a zone to move it.'
+};
+
+// Pads can be picked up anywhere in this band above the ground
+const PAD_PICK_HEIGHT = 6;
+
+// Painted zones smaller than this are treated as stray clicks
+const MIN_ZONE_SIZE = 1;
+
+/**
+ * Round a position to a tenth of a unit
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Format a level value for an input's value attribute
+ * @param {*} value
+ * @returns {string}
+ */
+function attributeValue(value) {
+    return value === undefined ? '' : String(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Keep a value inside the play area along one axis
+ * @param {number} value
+ * @param {number} size - GAME_WIDTH or GAME_HEIGHT
+ * @returns {number}
+ */
+function clampToField(value, size) {
+    return Math.max(-size / 2, Math.min(size / 2, value));
+}
+
+export class LevelEditor {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Element to render the editor panel into
+     * @param {SceneManager} options.sceneManager - Scene to draw into and take pointer input from
+     * @param {Object|null} options.levelSet - Level set to start from (copied, never changed)
+     * @param {Function} options.onChange - Called with the resolved level whenever it changes
+     * @param {Function} options.onTest - Called with (levelSet, levelNumber) to test-play a level
+     * @param {Function} options.onExport - Called with the level set to save as a file
+     * @param {Function} options.onExit - Called when the designer leaves the editor
+     */
+    constructor({ container, sceneManager, levelSet, onChange, onTest, onExport, onExit }) {
+        this.container = container;
+        this.sceneManager = sceneManager;
+        this.onChange = onChange;
+        this.onTest = onTest;
+        this.onExport = onExport;
+        this.onExit = onExit;
+
+        this.levelManager = new LevelManager();
+        this.setLevelSet(levelSet);
+
+        this.tool = 'pads';
+        this.selection = null;
+        this.drag = null;
+        this.status = '';
+        this.overlay = new THREE.Group();
+
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this._onKeyDown = this._onKeyDown.bind(this);
+        this._onPanelClick = this._onPanelClick.bind(this);
+        this._onPanelChange = this._onPanelChange.bind(this);
+
+        this.container.addEventListener('click', this._onPanelClick);
+        this.container.addEventListener('change', this._onPanelChange);
+    }
+
+    /**
+     * Start editing a copy of a level set
+     * @param {Object|null} levelSet
+     */
+    setLevelSet(levelSet) {
+        const copy = levelSet ? JSON.parse(JSON.stringify(levelSet)) : createLevelSet();
+
+        // Validate before replacing anything, so a bad import leaves the current set intact
+        this.levelManager.setLevels(copy);
+        if (!copy.levels.length) {
+            copy.levels.push({});
+        }
+
+        this.levelSet = copy;
+        this.index = 0;
+        this.selection = null;
+    }
+
+    /**
+     * Show the editor and start taking pointer and keyboard input
+     * @param {string} [status] - Message to show, e.g. the result of a test run
+     */
+    show(status = '') {
+        this.status = status;
+        this.container.classList.remove('hidden');
+        this.sceneManager.add(this.overlay);
+
+        const canvas = this.sceneManager.getCanvas();
+        if (canvas) {
+            canvas.addEventListener('pointerdown', this._onPointerDown);
+            canvas.addEventListener('pointermove', this._onPointerMove);
+            canvas.addEventListener('pointerup', this._onPointerUp);
+        }
+        document.addEventListener('keydown', this._onKeyDown);
+
+        this.refresh();
+    }
+
+    /**
+     * Hide the editor and stop taking input
+     */
+    hide() {
+        this.drag = null;
+        this.container.classList.add('hidden');
+        this.sceneManager.remove(this.overlay);
+
+        const canvas = this.sceneManager.getCanvas();
+        if (canvas) {
+            canvas.removeEventListener('pointerdown', this._onPointerDown);
+            canvas.removeEventListener('pointermove', this._onPointerMove);
+            canvas.removeEventListener('pointerup', this._onPointerUp);
+        }
+        document.removeEventListener('keydown', this._onKeyDown);
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.hide();
+        this.overlay.children.forEach(child => {
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+
+        this.container.removeEventListener('click', this._onPanelClick);
+        this.container.removeEventListener('change', this._onPanelChange);
+    }
+
+    /**
+     * Get the authored data of the level being edited
+     * @returns {Object}
+     */
+    getLevelData() {
+        return this.levelSet.levels[this.index];
+    }
+
+    /**
+     * Get the level being edited with generated values filled in
+     * @returns {Object}
+     */
+    getLevel() {
+        return this.levelManager.getLevel(this.index + 1);
+    }
+
+    /**
+     * Write the resolved value of a field into the authored level so it can be
+     * edited in place: generated values become authored, bare pad positions
+     * become {x, width} and partial meteor speeds are completed
+     * @param {string} key - 'pads', 'meteorZones' or 'meteorSpeed'
+     */
+    materialize(key) {
+        const data = this.getLevelData();
+
+        data[key] = JSON.parse(JSON.stringify(this.getLevel()[key]));
+        if (key === 'meteorSpeed') {
+            data.meteorSpeed.x = data.meteorSpeed.x.map(round);
+            data.meteorSpeed.y = data.meteorSpeed.y.map(round);
+        } else if (key === 'pads') {
+            delete data.padCount;
+        }
+    }
+
+    /**
+     * Redraw everything after an edit
+     */
+    refresh() {
+        this.renderPanel();
+        this.preview();
+    }
+
+    /**
+     * Redraw the play field only (cheap enough to run while dragging)
+     */
+    preview() {
+        const level = this.getLevel();
+        this.drawOverlay(level);
+        this.onChange(level);
+    }
+
+    /**
+     * Build the editor panel
+     */
+    renderPanel() {
+        const data = this.getLevelData();
+        const level = this.getLevel();
+        const count = this.levelSet.levels.length;
+
+        const fields = FIELDS.map(({ key, label, type = 'number', step, min }) => `
+            <label>${label}
+                <input data-field="${key}" type="${type}"${step ? ` step="${step}"` : ''}${min !== undefined ? ` min="${min}"` : ''}
+                    value="${attributeValue(data[key])}" placeholder="${attributeValue(level[key])}">
+            </label>
+        `).join('');
+
+        const speedInput = (axis, bound) => `
+            <input data-speed="${axis}" data-bound="${bound}" type="number" step="0.1"
+                value="${data.meteorSpeed && data.meteorSpeed[axis] ? data.meteorSpeed[axis][bound] : ''}"
+                placeholder="${round(level.meteorSpeed[axis][bound])}">
+        `;
+
+        this.container.innerHTML = `
+            <h3>LEVEL EDITOR</h3>
+            <div class="editor-row">
+                <button class="editor-btn" data-action="prev"${this.index === 0 ? ' disabled' : ''}>&lt;</button>
+                <span>LEVEL ${this.index + 1} / ${count}</span>
+                <button class="editor-btn" data-action="next"${this.index === count - 1 ? ' disabled' : ''}>&gt;</button>
+                <button class="editor-btn" data-action="add">ADD</button>
+                <button class="editor-btn" data-action="remove">DELETE</button>
+            </div>
+            <div class="editor-row">
+                <button class="editor-btn${this.tool === 'pads' ? ' selected' : ''}" data-tool="pads">PADS</button>
+                <button class="editor-btn${this.tool === 'zones' ? ' selected' : ''}" data-tool="zones">ZONES</button>
+                <button class="editor-btn" data-action="reset-${this.tool}">RESET</button>
+            </div>
+            <p class="editor-hint">${TOOL_HINTS[this.tool]}</p>
+            ${this._selectionHTML(level)}
+            <div class="editor-fields">
+                ${fields}
+                <label>SPEED X ${speedInput('x', 0)} to ${speedInput('x', 1)}</label>
+                <label>SPEED Y ${speedInput('y', 0)} to ${speedInput('y', 1)}</label>
+            </div>
+            <p class="editor-hint">Empty fields use the generated value shown greyed out.</p>
+            <div class="editor-row">
+                <button class="editor-btn" data-action="test">TEST PLAY</button>
+                <button class="editor-btn" data-action="export">EXPORT</button>
+                <label class="editor-btn">IMPORT<input type="file" data-action="import" accept=".json,application/json" hidden></label>
+                <button class="editor-btn" data-action="exit">BACK</button>
+            </div>
+            <p class="editor-status">${this.status}</p>
+        `;
+    }
+
+    /**
+     * Build the inputs for the selected pad or zone
+     * @param {Object} level - Resolved level
+     * @returns {string}
+     */
+    _selectionHTML(level) {
+        if (!this.selection) return '';
+
+        const { type, index } = this.selection;
+        const input = (key, value) => `
+            <label>${key.toUpperCase()}
+                <input data-selection="${key}" type="number" step="0.1" value="${round(value)}">
+            </label>
+        `;
+
+        if (type === 'pad') {
+            const pad = level.pads[index];
+            return `
+                <div class="editor-fields editor-selection">
+                    <p>PAD ${index + 1}</p>
+                    ${input('x', pad.x)}
+                    ${input('width', pad.width)}
+                    ${input('astronauts', level.padAstronauts[index])}
+                    <button class="editor-btn" data-action="delete-selection">REMOVE PAD</button>
+                </div>
+            `;
+        }
+
+        const zone = level.meteorZones[index];
+        return `
+            <div class="editor-fields editor-selection">
+                <p>ZONE ${index + 1}</p>
+                ${input('left', zone.x[0])}
+                ${input('right', zone.x[1])}
+                ${input('bottom', zone.y[0])}
+                ${input('top', zone.y[1])}
+                <button class="editor-btn" data-action="delete-selection">REMOVE ZONE</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Draw the safe zone, spawn zones and selection over the play field
+     * @param {Object} level - Resolved level
+     */
+    drawOverlay(level) {
+        this.overlay.children.slice().forEach(child => {
+            child.geometry.dispose();
+            child.material.dispose();
+            this.overlay.remove(child);
+        });
+
+        const top = Config.GAME_HEIGHT / 2;
+        const ground = -Config.GAME_HEIGHT / 2;
+
+        // Safe zone below the mothership, kept clear of meteor spawns
+        this.addRect(-Config.GAME_WIDTH / 2, Config.GAME_WIDTH / 2, top - level.safeZone, top, 0x0088ff, 0.15);
+
+        level.meteorZones.forEach((zone, index) => {
+            const selected = this.selection && this.selection.type === 'zone' && this.selection.index === index;
+            this.addRect(zone.x[0], zone.x[1], zone.y[0], zone.y[1], 0xff8800, selected ? 0.35 : 0.15);
+        });
+
+        if (this.drag && this.drag.type === 'zone-paint') {
+            const { start, current } = this.drag;
+            this.addRect(start.x, current.x, start.y, current.y, 0xffffff, 0.2);
+        }
+
+        if (this.selection && this.selection.type === 'pad') {
+            const pad = level.pads[this.selection.index];
+            this.addRect(pad.x - pad.width / 2 - 0.3, pad.x + pad.width / 2 + 0.3, ground + 1, ground + 3, 0x00ff00, 0.25);
+        }
+    }
+
+    /**
+     * Add a translucent outlined rectangle to the overlay
+     * @param {number} x0
+     * @param {number} x1
+     * @param {number} y0
+     * @param {number} y1
+     * @param {number} color
+     * @param {number} opacity
+     */
+    addRect(x0, x1, y0, y1, color, opacity) {
+        const width = Math.abs(x1 - x0);
+        const height = Math.abs(y1 - y0);
+        if (width === 0 || height === 0) return;
+
+        const geometry = new THREE.PlaneGeometry(width, height);
+        const fill = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity,
+            depthWrite: false
+        }));
+        const outline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(geometry),
+            new THREE.LineBasicMaterial({ color })
+        );
+
+        [fill, outline].forEach(object => {
+            object.position.set((x0 + x1) / 2, (y0 + y1) / 2, -1);
+            this.overlay.add(object);
+        });
+    }
+
+    /**
+     * Find the pad under a point
+     * @param {{x: number, y: number}} point
+     * @returns {number} Pad index, or -1
+     */
+    findPad(point) {
+        if (point.y > -Config.GAME_HEIGHT / 2 + PAD_PICK_HEIGHT) return -1;
+
+        return this.getLevel().pads.findIndex(pad => Math.abs(point.x - pad.x) <= pad.width / 2);
+    }
+
+    /**
+     * Find the topmost zone under a point
+     * @param {{x: number, y: number}} point
+     * @returns {number} Zone index, or -1
+     */
+    findZone(point) {
+        const zones = this.getLevel().meteorZones;
+
+        for (let i = zones.length - 1; i >= 0; i--) {
+            const { x, y } = zones[i];
+            if (point.x >= x[0] && point.x <= x[1] && point.y >= y[0] && point.y <= y[1]) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Remove the selected pad or zone
+     * The last pad or zone of a level stays: a level needs somewhere to land
+     * and somewhere for meteors to spawn
+     */
+    deleteSelection() {
+        if (!this.selection) return;
+
+        const key = this.selection.type === 'pad' ? 'pads' : 'meteorZones';
+        if (this.getLevel()[key].length <= 1) {
+            this.status = `A level needs at least one ${this.selection.type === 'pad' ? 'landing pad' : 'meteor zone'}`;
+            this.refresh();
+            return;
+        }
+
+        this.materialize(key);
+        this.getLevelData()[key].splice(this.selection.index, 1);
+        this.selection = null;
+        this.refresh();
+    }
+
+    /**
+     * Load a level set file chosen by the designer
+     * @param {File} file
+     */
+    importFile(file) {
+        file.text()
+            .then(text => {
+                this.setLevelSet(JSON.parse(text));
+                this.status = `Imported ${this.levelSet.levels.length} levels from ${file.name}`;
+            })
+            .catch(e => {
+                this.status = `Could not import ${file.name}: ${e.message}`;
+            })
+            .then(() => this.refresh());
+    }
+
+    /**
+     * Handle panel button clicks
+     * @param {MouseEvent} event
+     */
+    _onPanelClick(event) {
+        const button = event.target.closest('button');
+        if (!button) return;
+
+        const levels = this.levelSet.levels;
+
+        if (button.dataset.tool) {
+            this.tool = button.dataset.tool;
+            this.selection = null;
+            this.refresh();
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'prev':
+                this.index = Math.max(0, this.index - 1);
+                break;
+            case 'next':
+                this.index = Math.min(levels.length - 1, this.index + 1);
+                break;
+            case 'add':
+                levels.splice(this.index + 1, 0, {});
+                this.index++;
+                break;
+            case 'remove':
+                levels.splice(this.index, 1);
+                if (!levels.length) levels.push({});
+                this.index = Math.min(this.index, levels.length - 1);
+                break;
+            case 'reset-pads':
+                delete this.getLevelData().pads;
+                delete this.getLevelData().padCount;
+                break;
+            case 'reset-zones':
+                delete this.getLevelData().meteorZones;
+                break;
+            case 'delete-selection':
+                this.deleteSelection();
+                return;
+            case 'test':
+                this.onTest(JSON.parse(JSON.stringify(this.levelSet)), this.index + 1);
+                return;
+            case 'export':
+                this.onExport(JSON.parse(JSON.stringify(this.levelSet)));
+                return;
+            case 'exit':
+                this.onExit();
+                return;
+            default:
+                return;
+        }
+
+        this.selection = null;
+        this.status = '';
+        this.refresh();
+    }
+
+    /**
+     * Handle edits to panel inputs
+     * @param {Event} event
+     */
+    _onPanelChange(event) {
+        const input = event.target;
+        const data = this.getLevelData();
+        const value = input.value.trim();
+        const number = Number(value);
+
+        if (input.dataset.action === 'import') {
+            if (input.files.length) this.importFile(input.files[0]);
+            return;
+        }
+
+        if (input.dataset.field) {
+            const key = input.dataset.field;
+            if (value === '') {
+                delete data[key];
+            } else if (input.type === 'text') {
+                data[key] = value;
+            } else if (Number.isFinite(number)) {
+                const { min = -Infinity } = FIELDS.find(field => field.key === key);
+                data[key] = Math.max(min, number);
+            }
+        } else if (input.dataset.speed) {
+            if (value === '') {
+                delete data.meteorSpeed;
+            } else if (Number.isFinite(number)) {
+                this.materialize('meteorSpeed');
+                data.meteorSpeed[input.dataset.speed][Number(input.dataset.bound)] = number;
+            }
+        } else if (input.dataset.selection && this.selection && Number.isFinite(number)) {
+            this._editSelection(input.dataset.selection, number);
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Apply a value typed into the selection inputs
+     * @param {string} key - 'x', 'width' or 'astronauts' for pads, 'left', 'right', 'bottom' or 'top' for zones
+     * @param {number} value
+     */
+    _editSelection(key, value) {
+        const { type, index } = this.selection;
+
+        if (type === 'pad') {
+            this.materialize('pads');
+            const pad = this.getLevelData().pads[index];
+            if (key === 'width') {
+                pad.width = Math.max(1, value);
+            } else if (key === 'astronauts') {
+                pad.astronauts = Math.max(0, Math.round(value));
+            } else {
+                pad.x = clampToField(value, Config.GAME_WIDTH);
+            }
+            return;
+        }
+
+        this.materialize('meteorZones');
+        const zone = this.getLevelData().meteorZones[index];
+        const bounds = {
+            left: [zone.x, 0, Config.GAME_WIDTH],
+            right: [zone.x, 1, Config.GAME_WIDTH],
+            bottom: [zone.y, 0, Config.GAME_HEIGHT],
+            top: [zone.y, 1, Config.GAME_HEIGHT]
+        };
+        const [range, bound, size] = bounds[key];
+        range[bound] = clampToField(value, size);
+        range.sort((a, b) => a - b);
+    }
+
+    /**
+     * Start placing, moving or painting on the play field
+     * @param {PointerEvent} event
+     */
+    _onPointerDown(event) {
+        if (event.button !== 0) return;
+
+        const point = this.sceneManager.screenToWorld(event.clientX, event.clientY);
+        if (!point) return;
+
+        if (this.tool === 'pads') {
+            let index = this.findPad(point);
+
+            if (index === -1 && point.y <= -Config.GAME_HEIGHT / 2 + PAD_PICK_HEIGHT) {
+                this.materialize('pads');
+                const pads = this.getLevelData().pads;
+                pads.push({ x: round(clampToField(point.x, Config.GAME_WIDTH)), width: DEFAULT_PAD_WIDTH });
+                index = pads.length - 1;
+            }
+
+            if (index === -1) {
+                this.selection = null;
+            } else {
+                this.materialize('pads');
+                this.selection = { type: 'pad', index };
+                this.drag = { type: 'pad', index, offset: this.getLevelData().pads[index].x - point.x };
+            }
+        } else {
+            const index = this.findZone(point);
+
+            if (index === -1) {
+                this.selection = null;
+                this.drag = { type: 'zone-paint', start: point, current: point };
+            } else {
+                this.materialize('meteorZones');
+                const zone = this.getLevelData().meteorZones[index];
+                this.selection = { type: 'zone', index };
+                this.drag = {
+                    type: 'zone-move',
+                    index,
+                    start: point,
+                    original: { x: [...zone.x], y: [...zone.y] }
+                };
+            }
+        }
+
+        event.target.setPointerCapture(event.pointerId);
+        this.refresh();
+    }
+
+    /**
+     * Drag a pad or zone, or grow the zone being painted
+     * @param {PointerEvent} event
+     */
+    _onPointerMove(event) {
+        if (!this.drag) return;
+
+        const point = this.sceneManager.screenToWorld(event.clientX, event.clientY);
+        if (!point) return;
+
+        const { type, index } = this.drag;
+
+        if (type === 'pad') {
+            this.getLevelData().pads[index].x = round(clampToField(point.x + this.drag.offset, Config.GAME_WIDTH));
+        } else if (type === 'zone-move') {
+            const { start, original } = this.drag;
+            const zone = this.getLevelData().meteorZones[index];
+            zone.x = original.x.map(x => round(clampToField(x + point.x - start.x, Config.GAME_WIDTH)));
+            zone.y = original.y.map(y => round(clampToField(y + point.y - start.y, Config.GAME_HEIGHT)));
+        } else {
+            this.drag.current = point;
+        }
+
+        this.preview();
+    }
+
+    /**
+     * Finish a drag, adding the painted zone if it is big enough
+     */
+    _onPointerUp() {
+        if (!this.drag) return;
+
+        if (this.drag.type === 'zone-paint') {
+            const { start, current } = this.drag;
+            const x = [start.x, current.x].map(v => round(clampToField(v, Config.GAME_WIDTH))).sort((a, b) => a - b);
+            const y = [start.y, current.y].map(v => round(clampToField(v, Config.GAME_HEIGHT))).sort((a, b) => a - b);
+
+            if (x[1] - x[0] >= MIN_ZONE_SIZE && y[1] - y[0] >= MIN_ZONE_SIZE) {
+                this.materialize('meteorZones');
+                const zones = this.getLevelData().meteorZones;
+                zones.push({ x, y });
+                this.selection = { type: 'zone', index: zones.length - 1 };
+            }
+        }
+
+        this.drag = null;
+        this.refresh();
+    }
+
+    /**
+     * Remove the selection with Delete or Backspace
+     * @param {KeyboardEvent} event
+     */
+    _onKeyDown(event) {
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT') return;
+
+        if (event.code === 'Delete' || event.code === 'Backspace') {
+            event.preventDefault();
+            this.deleteSelection();
+        }
+    }
+}
+
+export default LevelEditor;
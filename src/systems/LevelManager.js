@@ -0,0 +1,242 @@
+/**
+ * Level Manager
+ * Resolves level definitions from an authored level set (levels/levels.json),
+ * falling back to a generated level beyond the authored ones
+ */
+
+import { Config } from '../core/Config.js';
+
+export const LEVELS_FORMAT = 'meteor-mission-levels';
+export const LEVELS_VERSION = 1;
+
+export const DEFAULT_PAD_WIDTH = 4;
+export const DEFAULT_SAFE_ZONE = 15;
+
+/**
+ * Spread pads evenly across the play area
+ * @param {number} count
+ * @returns {Array<{x: number, width: number}>}
+ */
+function spreadPads(count) {
+    const spacing = Config.GAME_WIDTH / (count + 1);
+    return Array.from({ length: count }, (_, i) => ({
+        x: -Config.GAME_WIDTH / 2 + spacing * (i + 1),
+        width: DEFAULT_PAD_WIDTH
+    }));
+}
+
+/**
+ * Expand an authored pad (an x position, or {x, width, astronauts}) to {x, width}
+ * plus its astronaut count if it has one
+ * @param {number|Object} pad
+ * @returns {{x: number, width: number, astronauts?: number}}
+ */
+function normalizePad(pad) {
+    return typeof pad === 'number'
+        ? { x: pad, width: DEFAULT_PAD_WIDTH }
+        : { width: DEFAULT_PAD_WIDTH, ...pad };
+}
+
+/**
+ * Share a level's astronauts out among its pads
+ * Pads with an authored astronaut count keep it; the rest of astronautsRequired
+ * is split evenly over the other pads, the first ones taking any remainder.
+ * Clearing the level takes every astronaut on every pad, so astronautsRequired
+ * becomes their total
+ * @param {Object} level - Level definition, completed in place
+ * @returns {Object} The level
+ */
+function assignAstronauts(level) {
+    const shared = level.pads.filter(pad => pad.astronauts === undefined).length;
+    const authored = level.pads.reduce((sum, pad) => sum + (pad.astronauts || 0), 0);
+    const remaining = Math.max(0, level.astronautsRequired - authored);
+
+    let share = 0;
+    level.padAstronauts = level.pads.map(pad => {
+        if (pad.astronauts !== undefined) return pad.astronauts;
+        const count = Math.floor(remaining / shared) + (share < remaining % shared ? 1 : 0);
+        share++;
+        return count;
+    });
+    level.astronautsRequired = level.padAstronauts.reduce((sum, count) => sum + count, 0);
+
+    return level;
+}
+
+/**
+ * Create an empty level set
+ * @returns {Object}
+ */
+export function createLevelSet() {
+    return { format: LEVELS_FORMAT, version: LEVELS_VERSION, levels: [] };
+}
+
+/**
+ * Check that data is a level set this version can play
+ * @param {Object} levelSet
+ */
+function validateLevelSet(levelSet) {
+    if (!levelSet || levelSet.format !== LEVELS_FORMAT) {
+        throw new Error('Not a Meteor Mission level set');
+    }
+    if (levelSet.version !== LEVELS_VERSION) {
+        throw new Error(`Unsupported level set version ${levelSet.version}`);
+    }
+    if (!Array.isArray(levelSet.levels)) {
+        throw new Error('Level set has no level list');
+    }
+
+    // A level may leave its pads or meteor zones out, but not list none
+    levelSet.levels.forEach((level, index) => {
+        ['pads', 'meteorZones'].forEach(key => {
+            if (level && level[key] !== undefined && (!Array.isArray(level[key]) || !level[key].length)) {
+                throw new Error(`Level ${index + 1} has no ${key === 'pads' ? 'landing pads' : 'meteor zones'}`);
+            }
+        });
+    });
+}
+
+/**
+ * Generate a level from the current Config (and so the difficulty profile)
+ * Meteor count and horizontal speed grow with the level number
+ * @param {number} number - Level number, starting at 1
+ * @returns {Object} Level definition
+ */
+export function generateLevel(number) {
+    const speedX = Config.METEOR_SPEED_X * (1 + number * Config.METEOR_SPEED_PER_LEVEL) / 2;
+    const speedY = Config.METEOR_SPEED_Y / 2;
+
+    // Meteors spawn over the whole field, clear of the ground and the mothership
+    const spawnWidth = (Config.GAME_WIDTH - 4) / 2;
+    const bottomMargin = 8;
+
+    return assignAstronauts({
+        number,
+        name: `Level ${number}`,
+        meteorCount: Config.METEOR_COUNT + number * Config.METEORS_PER_LEVEL,
+        meteorSpeed: {
+            x: [-speedX, speedX],
+            y: [-speedY, speedY]
+        },
+        meteorZones: [{
+            x: [-spawnWidth, spawnWidth],
+            y: [-Config.GAME_HEIGHT / 2 + bottomMargin, Config.GAME_HEIGHT / 2]
+        }],
+        safeZone: DEFAULT_SAFE_ZONE,
+        flagshipChance: Config.FLAGSHIP_CHANCE,
+        pads: spreadPads(Config.LANDING_PADS),
+        fuelRefill: Config.FUEL_REFILL_ON_LAND,
+        gravity: Config.GRAVITY,
+        astronautsRequired: Config.ASTRONAUTS_PER_LEVEL,
+        oxygen: Config.OXYGEN_TIME,
+        oxygenStagger: Config.OXYGEN_STAGGER
+    });
+}
+
+/**
+ * Strand a level's astronauts on its pads with their oxygen
+ * The first astronaut on a pad has the level's oxygen, each one after has
+ * oxygenStagger seconds more
+ * @param {Object} level - Level definition
+ * @returns {Array<number[]>} Oxygen of each astronaut, by pad index
+ */
+export function strandAstronauts(level) {
+    return level.padAstronauts.map(count =>
+        Array.from({ length: count }, (_, i) => level.oxygen + i * level.oxygenStagger)
+    );
+}
+
+/**
+ * Fetch and validate a level set
+ * @param {string} url
+ * @returns {Promise<Object|null>} The level set, or null if it could not be loaded
+ */
+export async function loadLevels(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const levelSet = await response.json();
+        validateLevelSet(levelSet);
+        return levelSet;
+    } catch (e) {
+        console.warn('Could not load levels, using generated levels:', e);
+        return null;
+    }
+}
+
+export class LevelManager {
+    /**
+     * @param {Object|null} [levelSet] - Authored level set, or null for generated levels only
+     */
+    constructor(levelSet = null) {
+        this.setLevels(levelSet);
+    }
+
+    /**
+     * Replace the authored level set
+     * @param {Object|null} levelSet - Parsed levels.json, or null for generated levels only
+     */
+    setLevels(levelSet) {
+        if (levelSet) {
+            validateLevelSet(levelSet);
+        }
+
+        this.levelSet = levelSet;
+    }
+
+    /**
+     * Get the authored level set, for replays and saves
+     * @returns {Object|null}
+     */
+    getLevelSet() {
+        return this.levelSet;
+    }
+
+    /**
+     * Get the number of authored levels
+     * @returns {number}
+     */
+    getAuthoredCount() {
+        return this.levelSet ? this.levelSet.levels.length : 0;
+    }
+
+    /**
+     * Resolve a level definition
+     * Authored fields replace the generated ones; fields a level leaves out
+     * come from the generator, so they follow the difficulty profile
+     * @param {number} number - Level number, starting at 1
+     * @returns {Object} Level definition
+     */
+    getLevel(number) {
+        const generated = generateLevel(number);
+        const authored = number <= this.getAuthoredCount() ? this.levelSet.levels[number - 1] : null;
+
+        if (!authored) return generated;
+
+        const { padCount, ...fields } = authored;
+        const level = {
+            ...generated,
+            ...fields,
+            number,
+            meteorSpeed: { ...generated.meteorSpeed, ...authored.meteorSpeed }
+        };
+
+        // Meteors need somewhere to spawn
+        if (!level.meteorZones || !level.meteorZones.length) {
+            level.meteorZones = generated.meteorZones;
+        }
+
+        if (authored.pads) {
+            level.pads = authored.pads.map(normalizePad);
+        } else if (padCount) {
+            level.pads = spreadPads(padCount);
+        }
+
+        return assignAstronauts(level);
+    }
+}
+
+export default LevelManager;
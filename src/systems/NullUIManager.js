@@ -0,0 +1,17 @@
+/**
+ * Null UI Manager
+ * Stand-in for UIManager when the game runs without a DOM (headless mode)
+ */
+
+/**
+ * Create a UI adapter that accepts every UIManager call and ignores it.
+ * Getters such as getStartButton() return null, so callers must guard against it.
+ * @returns {UIManager}
+ */
+export function createNullUIManager() {
+    return new Proxy({}, {
+        get: () => () => null
+    });
+}
+
+export default createNullUIManager;
@@ -0,0 +1,202 @@
+/**
+ * Replay System
+ * Records the per-step gameplay actions of a run and plays them back.
+ * A replay is the RNG seed, a Config snapshot, the level set, the play mode
+ * and the action stream, which together reproduce the run exactly on the fixed-timestep simulation.
+ */
+
+import { snapshotConfig } from '../core/Config.js';
+import { DEFAULT_PLAY_MODE } from '../core/PlayModes.js';
+import { GAMEPLAY_ACTIONS } from './InputSystem.js';
+
+export const REPLAY_FORMAT = 'meteor-mission-replay';
+export const REPLAY_VERSION = 1;
+
+/**
+ * Pack action states into a bitmask (one bit per gameplay action)
+ * @param {Object<string, boolean>} actions
+ * @returns {number}
+ */
+function encodeActions(actions) {
+    return GAMEPLAY_ACTIONS.reduce((mask, action, bit) =>
+        (actions[action] ? mask | (1 << bit) : mask), 0);
+}
+
+/**
+ * Unpack a bitmask into action states
+ * @param {number} mask
+ * @returns {Object<string, boolean>}
+ */
+function decodeActions(mask) {
+    const actions = {};
+    GAMEPLAY_ACTIONS.forEach((action, bit) => {
+        actions[action] = (mask & (1 << bit)) !== 0;
+    });
+    return actions;
+}
+
+export class ReplayRecorder {
+    constructor() {
+        this.recording = false;
+        this.seed = 0;
+        this.config = null;
+        this.levels = null;
+        this.mode = null;
+        this.runs = [];
+        this.ticks = 0;
+    }
+
+    /**
+     * Start recording a new run
+     * @param {number} seed - RNG seed the run was started with
+     * @param {Object} [options]
+     * @param {Object|null} [options.levels] - Authored level set the run is played on
+     * @param {string} [options.mode] - Play mode id (see PlayModes.js)
+     */
+    start(seed, { levels = null, mode = DEFAULT_PLAY_MODE } = {}) {
+        this.recording = true;
+        this.seed = seed;
+        this.config = snapshotConfig();
+        this.levels = levels;
+        this.mode = mode;
+        this.runs = [];
+        this.ticks = 0;
+    }
+
+    /**
+     * Record the actions applied on one simulation step
+     * Consecutive identical steps are run-length encoded as [mask, count]
+     * @param {Object<string, boolean>} actions
+     */
+    record(actions) {
+        if (!this.recording) return;
+
+        const mask = encodeActions(actions);
+        const last = this.runs[this.runs.length - 1];
+
+        if (last && last[0] === mask) {
+            last[1]++;
+        } else {
+            this.runs.push([mask, 1]);
+        }
+        this.ticks++;
+    }
+
+    /**
+     * Check if a run is being recorded
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recording;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object} Replay data, ready to be serialized as JSON
+     */
+    stop() {
+        this.recording = false;
+
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            config: this.config,
+            levels: this.levels,
+            mode: this.mode,
+            ticks: this.ticks,
+            inputs: this.runs
+        };
+    }
+}
+
+export class ReplayPlayer {
+    /**
+     * @param {Object} replay - Replay data produced by ReplayRecorder.stop()
+     */
+    constructor(replay) {
+        if (!replay || replay.format !== REPLAY_FORMAT) {
+            throw new Error('Not a Meteor Mission replay');
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${replay.version}`);
+        }
+
+        this.replay = replay;
+        this.tick = 0;
+        this.runIndex = 0;
+        this.runOffset = 0;
+
+        // Playback controls
+        this.playing = true;
+        this.speed = 1;
+    }
+
+    /**
+     * Get the actions for the next simulation step
+     * @returns {Object<string, boolean>}
+     */
+    nextActions() {
+        const run = this.replay.inputs[this.runIndex];
+        if (!run) {
+            return decodeActions(0);
+        }
+
+        this.tick++;
+        this.runOffset++;
+        if (this.runOffset >= run[1]) {
+            this.runIndex++;
+            this.runOffset = 0;
+        }
+
+        return decodeActions(run[0]);
+    }
+
+    /**
+     * Get the play mode of the recorded run
+     * Replays recorded before play modes were named only give a player count
+     * @returns {string} Play mode id
+     */
+    getPlayMode() {
+        if (this.replay.mode) return this.replay.mode;
+        return this.replay.players > 1 ? 'alternate' : DEFAULT_PLAY_MODE;
+    }
+
+    /**
+     * Check if every recorded step has been played
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.tick >= this.replay.ticks;
+    }
+
+    /**
+     * Toggle between playing and paused
+     * @returns {boolean} True if now playing
+     */
+    togglePlaying() {
+        this.playing = !this.playing;
+        return this.playing;
+    }
+
+    /**
+     * Set playback speed
+     * @param {number} speed - Multiplier (1, 2 or 4)
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    /**
+     * Get playback progress for display
+     * @returns {{tick: number, ticks: number, playing: boolean, speed: number}}
+     */
+    getStatus() {
+        return {
+            tick: this.tick,
+            ticks: this.replay.ticks,
+            playing: this.playing,
+            speed: this.speed
+        };
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Save System
+ * Stores a game in progress in localStorage so it can be continued later
+ */
+
+import { Config } from '../core/Config.js';
+
+const STORAGE_KEY = 'meteorMission.save';
+const SAVE_FORMAT = 'meteor-mission-save';
+
+class SaveSystem {
+    /**
+     * Check if persistent storage is available (not in headless runs)
+     * @returns {boolean}
+     */
+    isStorageAvailable() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    /**
+     * Store a game snapshot, replacing any previous save
+     * @param {Object} snapshot - Snapshot produced by Game.createSnapshot()
+     * @returns {boolean} True if the save was written
+     */
+    save(snapshot) {
+        if (!this.isStorageAvailable()) return false;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                format: SAVE_FORMAT,
+                configVersion: Config.CONFIG_VERSION,
+                savedAt: new Date().toISOString(),
+                snapshot
+            }));
+            return true;
+        } catch (e) {
+            console.warn('Could not save game:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Load the stored snapshot
+     * Saves written by an incompatible Config version are discarded
+     * @returns {Object|null} Snapshot, or null if there is no usable save
+     */
+    load() {
+        if (!this.isStorageAvailable()) return null;
+
+        let data = null;
+        try {
+            data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            console.warn('Could not read saved game:', e);
+        }
+
+        if (!data) return null;
+
+        if (data.format !== SAVE_FORMAT || data.configVersion !== Config.CONFIG_VERSION) {
+            console.warn(`Discarding saved game from incompatible config version ${data.configVersion}`);
+            this.clear();
+            return null;
+        }
+
+        return data.snapshot;
+    }
+
+    /**
+     * Check if there is a game that can be continued
+     * @returns {boolean}
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Delete the stored game
+     */
+    clear() {
+        if (!this.isStorageAvailable()) return;
+
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            console.warn('Could not clear saved game:', e);
+        }
+    }
+}
+
+// Export singleton instance
+export const saveSystem = new SaveSystem();
+export default saveSystem;
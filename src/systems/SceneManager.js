@@ -5,14 +5,21 @@
 
 import * as THREE from 'three';
 import { Config } from '../core/Config.js';
+import { cosmeticRng } from '../utils/Random.js';
 
 export class SceneManager {
+    /**
+     * @param {HTMLElement|null} container - Element to render into, or null for
+     *   headless mode (scene graph only, no renderer or window listeners)
+     */
     constructor(container) {
         this.container = container;
         this.scene = null;
         this.camera = null;
         this.renderer = null;
 
+        this.onWindowResize = this.onWindowResize.bind(this);
+
         this.init();
     }
 
@@ -25,20 +32,16 @@ export class SceneManager {
         this.scene.background = new THREE.Color(0x000510);
 
         // Camera
-        this.camera = new THREE.PerspectiveCamera(
-            60,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            1000
-        );
+        this.camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
         this.camera.position.set(0, 0, 50);
         this.camera.lookAt(0, 0, 0);
 
         // Renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
-        this.container.appendChild(this.renderer.domElement);
+        if (this.container) {
+            this.renderer = new THREE.WebGLRenderer({ antialias: true });
+            this.renderer.setPixelRatio(window.devicePixelRatio);
+            this.container.appendChild(this.renderer.domElement);
+        }
 
         // Lighting
         this.setupLighting();
@@ -50,7 +53,18 @@ export class SceneManager {
         this.createGround();
 
         // Handle window resize
-        window.addEventListener('resize', this.onWindowResize.bind(this));
+        if (this.renderer) {
+            this.onWindowResize();
+            window.addEventListener('resize', this.onWindowResize);
+        }
+    }
+
+    /**
+     * Check if the scene is simulated without a renderer
+     * @returns {boolean}
+     */
+    isHeadless() {
+        return !this.renderer;
     }
 
     /**
@@ -74,11 +88,11 @@ export class SceneManager {
         const colors = new Float32Array(Config.STAR_COUNT * 3);
 
         for (let i = 0; i < Config.STAR_COUNT; i++) {
-            positions[i * 3] = (Math.random() - 0.5) * 100;
-            positions[i * 3 + 1] = (Math.random() - 0.5) * 100;
-            positions[i * 3 + 2] = -20 - Math.random() * 30;
+            positions[i * 3] = (cosmeticRng.next() - 0.5) * 100;
+            positions[i * 3 + 1] = (cosmeticRng.next() - 0.5) * 100;
+            positions[i * 3 + 2] = -20 - cosmeticRng.next() * 30;
 
-            const brightness = 0.5 + Math.random() * 0.5;
+            const brightness = 0.5 + cosmeticRng.next() * 0.5;
             colors[i * 3] = brightness;
             colors[i * 3 + 1] = brightness;
             colors[i * 3 + 2] = brightness;
@@ -128,6 +142,39 @@ export class SceneManager {
         this.scene.remove(object);
     }
 
+    /**
+     * Get the canvas the scene is rendered to
+     * @returns {HTMLCanvasElement|null}
+     */
+    getCanvas() {
+        return this.renderer ? this.renderer.domElement : null;
+    }
+
+    /**
+     * Convert a screen position to a point on the play field plane (z = 0)
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{x: number, y: number}|null} World position, or null headless
+     */
+    screenToWorld(clientX, clientY) {
+        if (!this.renderer) return null;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector3(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1,
+            0.5
+        );
+
+        // Cast from the camera through the screen point onto the z = 0 plane
+        ndc.unproject(this.camera);
+        const direction = ndc.sub(this.camera.position).normalize();
+        const distance = -this.camera.position.z / direction.z;
+        const point = this.camera.position.clone().add(direction.multiplyScalar(distance));
+
+        return { x: point.x, y: point.y };
+    }
+
     /**
      * Handle window resize
      */
@@ -141,7 +188,9 @@ export class SceneManager {
      * Render the scene
      */
     render() {
-        this.renderer.render(this.scene, this.camera);
+        if (this.renderer) {
+            this.renderer.render(this.scene, this.camera);
+        }
     }
 
     /**
@@ -156,7 +205,9 @@ export class SceneManager {
      * Clean up resources
      */
     dispose() {
-        window.removeEventListener('resize', this.onWindowResize);
+        if (this.renderer) {
+            window.removeEventListener('resize', this.onWindowResize);
+        }
 
         if (this.starfield) {
             this.starfield.geometry.dispose();
@@ -168,7 +219,9 @@ export class SceneManager {
             this.ground.material.dispose();
         }
 
-        this.renderer.dispose();
+        if (this.renderer) {
+            this.renderer.dispose();
+        }
     }
 }
 
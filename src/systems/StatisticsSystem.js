@@ -0,0 +1,261 @@
+/**
+ * Statistics System
+ * Collects the statistics of the run in play from game state and collision
+ * events (shots, hits, kills, fuel, landings, rescues and deaths by cause) and
+ * adds finished runs to lifetime totals kept in localStorage
+ */
+
+const STORAGE_KEY = 'meteorMission.statistics';
+
+/**
+ * Cause of death recorded for each collision that wrecks a lander
+ */
+const DEATH_CAUSES = {
+    'lander-meteor': 'meteor',
+    'lander-ground': 'ground',
+    'lander-boundary': 'boundary',
+    'lander-hard-landing': 'hardLanding',
+    'bullet-lander': 'friendlyFire',
+    'shot-lander': 'flagship'
+};
+
+/**
+ * Create empty statistics, for a run or the lifetime totals
+ * Times are in seconds of simulation time
+ * @returns {Object}
+ */
+export function createStatistics() {
+    return {
+        games: 0,
+        time: 0,
+        shots: 0,
+        hits: 0,
+        meteorsDestroyed: 0,
+        flagshipsDestroyed: 0,
+        fuelConsumed: 0,
+        landings: 0,
+        // Sum of touchdown speeds, for the average
+        landingSpeed: 0,
+        rescued: 0,
+        // Quickest rescue, from the start of the run or the previous rescue (0 for none)
+        fastestRescue: 0,
+        deaths: { meteor: 0, ground: 0, boundary: 0, hardLanding: 0, friendlyFire: 0, flagship: 0 }
+    };
+}
+
+/**
+ * Copy statistics, filling in anything missing from older saves
+ * @param {Object} [statistics]
+ * @returns {Object}
+ */
+function copyStatistics(statistics = {}) {
+    const empty = createStatistics();
+    return {
+        ...empty,
+        ...statistics,
+        deaths: { ...empty.deaths, ...statistics.deaths }
+    };
+}
+
+class StatisticsSystem {
+    constructor() {
+        this.lifetime = createStatistics();
+        // Statistics of the run being collected, or null between runs
+        this.run = null;
+        // Time of the run's last rescue, and bullets that have already scored a hit
+        this.lastRescueTime = 0;
+        this.hitBullets = new WeakSet();
+        // Subscriptions to the game state, removed by disconnect()
+        this.subscriptions = [];
+        this.load();
+    }
+
+    /**
+     * Check if persistent storage is available (not in headless runs)
+     * @returns {boolean}
+     */
+    isStorageAvailable() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    /**
+     * Load the lifetime totals from localStorage
+     */
+    load() {
+        if (!this.isStorageAvailable()) return;
+
+        try {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (data && data.lifetime) {
+                this.lifetime = copyStatistics(data.lifetime);
+            }
+        } catch (e) {
+            console.warn('Could not load statistics:', e);
+        }
+    }
+
+    /**
+     * Save the lifetime totals to localStorage
+     */
+    save() {
+        if (!this.isStorageAvailable()) return;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ lifetime: this.lifetime }));
+        } catch (e) {
+            console.warn('Could not save statistics:', e);
+        }
+    }
+
+    /**
+     * Listen to a game's state and collisions
+     * @param {Object} state - The game state
+     * @param {CollisionSystem} collisions - The game's collision system
+     */
+    connect(state, collisions) {
+        this.disconnect();
+
+        const onFuelConsumed = ({ amount }) => this.track(run => {
+            run.fuelConsumed += amount;
+        });
+        state.on('fuelConsumed', onFuelConsumed);
+        this.subscriptions.push({ state, event: 'fuelConsumed', callback: onFuelConsumed });
+
+        // A bullet can take out two meteors at once, but is one hit
+        const countHit = (run, bullet) => {
+            if (!this.hitBullets.has(bullet)) {
+                this.hitBullets.add(bullet);
+                run.hits++;
+            }
+        };
+
+        collisions.onCollision('bullet-flagship', bullet => this.track(run => countHit(run, bullet)));
+        collisions.onCollision('bullet-meteor', (bullet, meteor) => this.track(run => {
+            countHit(run, bullet);
+            if (meteor.isFlagship) {
+                run.flagshipsDestroyed++;
+            } else {
+                run.meteorsDestroyed++;
+            }
+        }));
+        collisions.onCollision('lander-pad', lander => this.track(run => {
+            run.landings++;
+            run.landingSpeed += Math.abs(lander.velocity.y);
+        }));
+        collisions.onCollision('lander-mothership', lander => this.track(run => {
+            if (!state.hasAstronaut(lander.pilot)) return;
+
+            const duration = run.time - this.lastRescueTime;
+            run.rescued++;
+            run.fastestRescue = run.fastestRescue ? Math.min(run.fastestRescue, duration) : duration;
+            this.lastRescueTime = run.time;
+        }));
+        Object.entries(DEATH_CAUSES).forEach(([type, cause]) => {
+            collisions.onCollision(type, () => this.track(run => {
+                run.deaths[cause]++;
+            }));
+        });
+    }
+
+    /**
+     * Stop listening to the game state
+     * (the collision system drops its callbacks when its game is disposed)
+     */
+    disconnect() {
+        this.subscriptions.forEach(({ state, event, callback }) => state.off(event, callback));
+        this.subscriptions = [];
+    }
+
+    /**
+     * Start collecting a run
+     * @param {Object|null} [run] - Statistics of a saved run being continued
+     */
+    startRun(run = null) {
+        const { lastRescueTime = 0, ...statistics } = run || { games: 1 };
+
+        this.run = copyStatistics(statistics);
+        this.lastRescueTime = lastRescueTime;
+        this.hitBullets = new WeakSet();
+    }
+
+    /**
+     * Stop collecting without keeping the run (quit, replays, editor test runs)
+     */
+    stopRun() {
+        this.run = null;
+    }
+
+    /**
+     * End the run, adding it to the lifetime totals
+     * @returns {Object|null} The run's statistics, or null if none were collected
+     */
+    finishRun() {
+        const run = this.run;
+        if (!run) return null;
+
+        const lifetime = this.lifetime;
+        ['games', 'time', 'shots', 'hits', 'meteorsDestroyed', 'flagshipsDestroyed',
+            'fuelConsumed', 'landings', 'landingSpeed', 'rescued'].forEach(key => {
+            lifetime[key] += run[key];
+        });
+        Object.keys(lifetime.deaths).forEach(cause => {
+            lifetime.deaths[cause] += run.deaths[cause];
+        });
+        if (run.fastestRescue && (!lifetime.fastestRescue || run.fastestRescue < lifetime.fastestRescue)) {
+            lifetime.fastestRescue = run.fastestRescue;
+        }
+
+        this.save();
+        this.run = null;
+        return run;
+    }
+
+    /**
+     * Copy the statistics of the run being collected, for a saved game
+     * @returns {Object|null}
+     */
+    serializeRun() {
+        return this.run ? { ...copyStatistics(this.run), lastRescueTime: this.lastRescueTime } : null;
+    }
+
+    /**
+     * Count simulation time of active play
+     * @param {number} deltaTime
+     */
+    advance(deltaTime) {
+        this.track(run => {
+            run.time += deltaTime;
+        });
+    }
+
+    /**
+     * Record a shot fired (shots are not part of the game state)
+     */
+    recordShot() {
+        this.track(run => {
+            run.shots++;
+        });
+    }
+
+    /**
+     * Update the statistics of the run being collected
+     * @param {Function} update - Called with the statistics
+     */
+    track(update) {
+        if (this.run) {
+            update(this.run);
+        }
+    }
+
+    /**
+     * Get the lifetime totals
+     * @returns {Object}
+     */
+    getLifetime() {
+        return copyStatistics(this.lifetime);
+    }
+}
+
+// Export singleton instance
+export const statisticsSystem = new StatisticsSystem();
+export default statisticsSystem;
@@ -4,10 +4,19 @@
  */
 
 import { Config } from '../core/Config.js';
+import { InitialsPicker } from './InitialsPicker.js';
 
 export class UIManager {
     constructor() {
         this.elements = {};
+        // Seconds the landing banner and each achievement toast stay up, counted
+        // down in simulation steps so they hold while the game is paused
+        this.landingGradeTimer = 0;
+        this.toasts = [];
+        // Lives shown, so the icons are only rebuilt when the count changes
+        this.livesShown = null;
+        // Oxygen timers shown, so the panel is only rewritten when they change
+        this.oxygenShown = null;
         this.cacheElements();
     }
 
@@ -17,12 +26,30 @@ export class UIManager {
     cacheElements() {
         this.elements = {
             score: document.getElementById('score'),
+            scorePanel: document.getElementById('score-panel'),
+            comboPanel: document.getElementById('combo-panel'),
+            playersPanel: document.getElementById('players-panel'),
             rescuedCount: document.getElementById('rescued-count'),
+            oxygenPanel: document.getElementById('oxygen-panel'),
             livesDisplay: document.getElementById('lives-display'),
             phaseText: document.getElementById('phase-text'),
             fuelBar: document.getElementById('fuel-bar'),
+            fuelWarning: document.getElementById('fuel-warning'),
+            coopFuel: document.getElementById('coop-fuel'),
+            coopFuelBar: document.getElementById('coop-fuel-bar'),
             messageOverlay: document.getElementById('message-overlay'),
-            controlsHelp: document.getElementById('controls-help')
+            controlsHelp: document.getElementById('controls-help'),
+            replayControls: document.getElementById('replay-controls'),
+            replayPlay: document.getElementById('replay-play-btn'),
+            replayStep: document.getElementById('replay-step-btn'),
+            replayExit: document.getElementById('replay-exit-btn'),
+            replaySpeeds: Array.from(document.querySelectorAll('.replay-speed-btn')),
+            replayProgress: document.getElementById('replay-progress'),
+            editorPanel: document.getElementById('editor-panel'),
+            versusPanel: document.getElementById('versus-panel'),
+            ghostPanel: document.getElementById('ghost-panel'),
+            toastContainer: document.getElementById('toast-container'),
+            landingGrade: document.getElementById('landing-grade')
         };
     }
 
@@ -36,6 +63,184 @@ export class UIManager {
         }
     }
 
+    /**
+     * Show the combo multiplier, hidden while it is at x1
+     * @param {number} multiplier
+     */
+    updateMultiplier(multiplier) {
+        const { comboPanel } = this.elements;
+        if (!comboPanel) return;
+
+        comboPanel.classList.toggle('hidden', multiplier <= 1);
+        comboPanel.textContent = `COMBO x${multiplier}`;
+    }
+
+    /**
+     * Show every player's score in turn-taking games, marking whose turn it is
+     * Single player games keep the plain score panel
+     * @param {Array<Object>} players - Player slots
+     * @param {number} activePlayer - Index of the player in play
+     * @param {number} score - Score of the player in play (newer than their slot)
+     */
+    updatePlayers(players, activePlayer, score) {
+        const { scorePanel, playersPanel } = this.elements;
+        if (!scorePanel || !playersPanel) return;
+
+        const multiplayer = players.length > 1;
+        scorePanel.classList.toggle('hidden', multiplayer);
+        playersPanel.classList.toggle('hidden', !multiplayer);
+        if (!multiplayer) return;
+
+        playersPanel.innerHTML = players.map((player, index) => `
+            <span class="player-score${index === activePlayer ? ' active' : ''}">
+                ${index + 1}UP: ${index === activePlayer ? score : player.score}
+            </span>
+        `).join('');
+    }
+
+    /**
+     * Show the race standings of a versus match, or hide them outside of one
+     * Also fills in the result on the game over screen once the match is decided
+     * @param {Object|null} versus - Match status from Game.getVersusStatus()
+     */
+    updateVersus(versus) {
+        const { versusPanel } = this.elements;
+        if (versusPanel) {
+            versusPanel.classList.toggle('hidden', !versus);
+            if (versus) {
+                // The rival's numbers come off the network, so they are never parsed as HTML
+                const you = document.createElement('span');
+                you.className = 'versus-you';
+                you.textContent = `YOU: ${versus.rescued}/${versus.target}`;
+
+                const rival = document.createElement('span');
+                rival.className = 'versus-rival';
+                rival.textContent = `RIVAL: ${versus.opponent.rescued}/${versus.target}`;
+
+                versusPanel.replaceChildren(you, rival);
+            }
+        }
+
+        const result = document.getElementById('versus-result');
+        if (result && versus) {
+            result.textContent = this._versusResultText(versus);
+        }
+    }
+
+    /**
+     * Describe how a versus match ended
+     * @param {Object} versus - Match status from Game.getVersusStatus()
+     * @returns {string}
+     */
+    _versusResultText({ target, result }) {
+        if (!result) return 'Waiting for your opponent...';
+
+        switch (result.reason) {
+            case 'target':
+                return result.won
+                    ? `YOU WIN! First to rescue ${target} astronauts`
+                    : `YOU LOSE! Your opponent rescued ${target} astronauts first`;
+            case 'out':
+                return result.won ? 'YOU WIN! Your opponent ran out of lives' : 'YOU LOSE! Out of lives';
+            case 'forfeit':
+                return result.won ? 'YOU WIN! Your opponent left the match' : 'YOU LOSE! You left the match';
+            default:
+                return 'CONNECTION LOST - no result';
+        }
+    }
+
+    /**
+     * Show the score of the ghost being raced, or hide the ghost panel when
+     * there is no ghost
+     * @param {{score: number}|null} ghost
+     */
+    updateGhost(ghost) {
+        const { ghostPanel } = this.elements;
+        if (!ghostPanel) return;
+
+        ghostPanel.classList.toggle('hidden', !ghost);
+        ghostPanel.classList.remove('ahead', 'behind');
+        if (ghost) {
+            ghostPanel.textContent = `GHOST BEST: ${ghost.score}`;
+        }
+    }
+
+    /**
+     * Show how far ahead of or behind the ghost the run reached a landing or docking
+     * @param {string} type - 'land' or 'dock'
+     * @param {number} count - Which landing or docking of the run it is, from 1
+     * @param {number|null} delta - Seconds behind the ghost (negative when
+     *   ahead), or null if the ghost never got this far
+     */
+    showGhostDelta(type, count, delta) {
+        const { ghostPanel } = this.elements;
+        if (!ghostPanel) return;
+
+        const label = `${type === 'dock' ? 'DOCKING' : 'LANDING'} ${count}`;
+        if (delta === null) {
+            ghostPanel.textContent = `${label}: GHOST NEVER GOT HERE`;
+        } else if (delta === 0) {
+            ghostPanel.textContent = `${label}: LEVEL WITH GHOST`;
+        } else {
+            ghostPanel.textContent = `${label}: ${Math.abs(delta).toFixed(2)}s ${delta < 0 ? 'AHEAD' : 'BEHIND'}`;
+        }
+        ghostPanel.classList.toggle('ahead', delta === null || delta < 0);
+        ghostPanel.classList.toggle('behind', delta > 0);
+    }
+
+    /**
+     * Briefly show how well a lander touched down, with its bonus
+     * It is hidden after Config.LANDING_GRADE_DURATION seconds
+     * @param {{id: string, name: string, bonus: number}} grade
+     */
+    showLandingGrade(grade) {
+        this._flashLandingBanner(`${grade.name} LANDING${grade.bonus ? ` +${grade.bonus}` : ''}`, `landing-${grade.id}`);
+    }
+
+    /**
+     * Briefly show that a lander touched down on a pad with nobody left to rescue
+     */
+    showEmptyPad() {
+        this._flashLandingBanner('NO SURVIVORS HERE', 'landing-empty');
+    }
+
+    /**
+     * Show the landing banner for Config.LANDING_GRADE_DURATION seconds
+     * @param {string} text
+     * @param {string} className
+     */
+    _flashLandingBanner(text, className) {
+        const { landingGrade } = this.elements;
+        if (!landingGrade) return;
+
+        landingGrade.textContent = text;
+        landingGrade.className = className;
+
+        this.landingGradeTimer = Config.LANDING_GRADE_DURATION;
+    }
+
+    /**
+     * Count down the landing banner and achievement toasts, hiding them when
+     * their time is up
+     * @param {number} deltaTime
+     */
+    updateTimers(deltaTime) {
+        if (this.landingGradeTimer > 0) {
+            this.landingGradeTimer -= deltaTime;
+            if (this.landingGradeTimer <= 0 && this.elements.landingGrade) {
+                this.elements.landingGrade.classList.add('hidden');
+            }
+        }
+
+        this.toasts = this.toasts.filter(toast => {
+            toast.timeLeft -= deltaTime;
+            if (toast.timeLeft > 0) return true;
+
+            toast.element.remove();
+            return false;
+        });
+    }
+
     /**
      * Update rescued astronaut count
      * @param {number} count
@@ -46,17 +251,70 @@ export class UIManager {
         }
     }
 
+    /**
+     * Show the oxygen left to the neediest astronaut on each pad, as m:ss
+     * @param {Array<number[]>|null} pads - Oxygen of each stranded astronaut,
+     *   neediest first, by pad index; null between levels
+     */
+    updateOxygen(pads) {
+        const { oxygenPanel } = this.elements;
+        if (!oxygenPanel) return;
+
+        oxygenPanel.classList.toggle('hidden', !pads);
+        if (!pads) return;
+
+        const html = 'O2: ' + pads.map(oxygen => {
+            if (!oxygen.length) return '<span class="oxygen-pad empty">--</span>';
+
+            const seconds = Math.ceil(oxygen[0]);
+            const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            const low = seconds <= Config.OXYGEN_LOW_WARNING ? ' low' : '';
+            return `<span class="oxygen-pad${low}">${time}</span>`;
+        }).join(' ');
+
+        if (html === this.oxygenShown) return;
+
+        this.oxygenShown = html;
+        oxygenPanel.innerHTML = html;
+    }
+
+    /**
+     * Briefly show that a stranded astronaut ran out of oxygen, with the penalty
+     * @param {number} penalty
+     */
+    showAstronautLost(penalty) {
+        this._flashLandingBanner(`ASTRONAUT LOST -${penalty}`, 'landing-empty');
+    }
+
+    /**
+     * Briefly show that a level has to be flown again, astronauts having been lost
+     */
+    showLevelFailed() {
+        this._flashLandingBanner('LEVEL FAILED - TRY AGAIN', 'landing-empty');
+    }
+
+    /**
+     * Briefly show the time bonus for a rescue
+     * @param {number} bonus
+     */
+    showTimeBonus(bonus) {
+        this._flashLandingBanner(`TIME BONUS +${bonus}`, 'landing-perfect');
+    }
+
     /**
      * Update lives display
      * @param {number} lives
+     * @param {number} [gained=0] - Extra lives just awarded, whose icons are animated
      */
-    updateLives(lives) {
+    updateLives(lives, gained = 0) {
         if (!this.elements.livesDisplay) return;
+        if (lives === this.livesShown && !gained) return;
 
+        this.livesShown = lives;
         this.elements.livesDisplay.innerHTML = '';
         for (let i = 0; i < lives; i++) {
             const lifeIcon = document.createElement('span');
-            lifeIcon.className = 'life-icon';
+            lifeIcon.className = i >= lives - gained ? 'life-icon gained' : 'life-icon';
             this.elements.livesDisplay.appendChild(lifeIcon);
         }
     }
@@ -64,10 +322,16 @@ export class UIManager {
     /**
      * Update phase indicator text
      * @param {string} phase
+     * @param {boolean} [coop] - Whether two landers are flying, each in its own phase
      */
-    updatePhase(phase) {
+    updatePhase(phase, coop = false) {
         if (!this.elements.phaseText) return;
 
+        if (coop && [Config.PHASE.DESCENT, Config.PHASE.LANDED, Config.PHASE.ASCENT].includes(phase)) {
+            this.elements.phaseText.textContent = 'CO-OP MISSION';
+            return;
+        }
+
         switch (phase) {
             case Config.PHASE.DESCENT:
                 this.elements.phaseText.textContent = 'DESCENT PHASE';
@@ -78,6 +342,12 @@ export class UIManager {
             case Config.PHASE.ASCENT:
                 this.elements.phaseText.textContent = 'ASCENT PHASE - FIRE TO BOOST!';
                 break;
+            case Config.PHASE.PAUSED:
+                this.elements.phaseText.textContent = 'PAUSED';
+                break;
+            case Config.PHASE.EDITOR:
+                this.elements.phaseText.textContent = 'LEVEL EDITOR';
+                break;
             default:
                 this.elements.phaseText.textContent = '';
         }
@@ -92,13 +362,164 @@ export class UIManager {
         if (this.elements.fuelBar) {
             const percentage = (fuel / maxFuel) * 100;
             this.elements.fuelBar.style.width = `${percentage}%`;
+            this.elements.fuelBar.classList.toggle('low', fuel < maxFuel * Config.FUEL_LOW_WARNING);
+        }
+    }
+
+    /**
+     * Update the second pilot's fuel bar, shown in co-op only
+     * @param {number|null} fuel - Second pilot's fuel, or null without a second pilot
+     * @param {number} maxFuel - Maximum fuel
+     */
+    updateCoopFuel(fuel, maxFuel = Config.FUEL_MAX) {
+        const { coopFuel, coopFuelBar } = this.elements;
+        if (!coopFuel || !coopFuelBar) return;
+
+        coopFuel.classList.toggle('hidden', fuel === null);
+        if (fuel !== null) {
+            coopFuelBar.style.width = `${(fuel / maxFuel) * 100}%`;
+            coopFuelBar.classList.toggle('low', fuel < maxFuel * Config.FUEL_LOW_WARNING);
+        }
+    }
+
+    /**
+     * Show the landers' fuel warnings under the fuel gauges
+     * @param {Array<string|null>} warnings - Each lander's warning ('low',
+     *   'empty', 'tow' or null), by pilot
+     * @param {boolean} [canTow=true] - Whether an empty lander can call the tow
+     */
+    updateFuelWarnings(warnings, canTow = true) {
+        const { fuelWarning } = this.elements;
+        if (!fuelWarning) return;
+
+        const messages = {
+            low: 'LOW FUEL',
+            empty: canTow ? 'OUT OF FUEL - FIRE TO CALL TOW' : 'OUT OF FUEL',
+            tow: `EMERGENCY TOW (-${Config.TOW_PENALTY})`
+        };
+        const lines = warnings
+            .map((warning, pilot) => {
+                if (!warning) return null;
+                return warnings.length > 1 ? `P${pilot + 1} ${messages[warning]}` : messages[warning];
+            })
+            .filter(Boolean);
+
+        fuelWarning.classList.toggle('hidden', !lines.length);
+        fuelWarning.classList.toggle('critical', warnings.includes('empty'));
+        fuelWarning.innerHTML = lines.join('<br>');
+    }
+
+    /**
+     * Build the high-score table markup
+     * @param {Array<Object>} entries - High-score entries, best first
+     * @param {number[]} highlightRanks - Indexes of the rows to highlight
+     * @param {string} [caption] - Table heading
+     * @returns {string}
+     */
+    _highScoreTableHTML(entries, highlightRanks = [], caption = 'HIGH SCORES') {
+        if (!entries.length) {
+            return `<p class="high-scores-empty">${caption}: NONE YET</p>`;
         }
+
+        const rows = entries.map((entry, index) => `
+            <tr${highlightRanks.includes(index) ? ' class="highlight"' : ''}>
+                <td>${index + 1}</td>
+                <td>${entry.initials}</td>
+                <td>${entry.score}</td>
+                <td>${entry.rescued}</td>
+                <td>${entry.level}</td>
+                <td>${entry.date}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="high-scores">
+                <caption>${caption}</caption>
+                <thead>
+                    <tr><th>#</th><th>NAME</th><th>SCORE</th><th>RESCUED</th><th>LEVEL</th><th>DATE</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Build the high-score table heading for a difficulty profile
+     * @param {Object|null} difficulty
+     * @returns {string}
+     */
+    _highScoreCaption(difficulty) {
+        return difficulty ? `HIGH SCORES - ${difficulty.name.toUpperCase()}` : 'HIGH SCORES';
+    }
+
+    /**
+     * Build the difficulty selector markup
+     * @param {Array<Object>} difficulties - Selectable profiles
+     * @param {Object|null} selected - Currently selected profile
+     * @returns {string}
+     */
+    _difficultySelectorHTML(difficulties, selected) {
+        if (!difficulties.length) return '';
+
+        const buttons = difficulties.map(profile => `
+            <button class="difficulty-btn${selected && profile.id === selected.id ? ' selected' : ''}"
+                data-difficulty="${profile.id}">${profile.name.toUpperCase()}</button>
+        `).join('');
+
+        return `
+            <div class="difficulty-select">
+                <p><strong>DIFFICULTY:</strong></p>
+                <div class="difficulty-options">${buttons}</div>
+                ${selected ? `<p class="difficulty-description">${selected.description}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Build the play mode selector markup
+     * @param {Array<Object>} modes - Selectable play modes
+     * @param {Object|null} selected - Currently selected mode
+     * @returns {string}
+     */
+    _playModeSelectorHTML(modes, selected) {
+        if (modes.length < 2) return '';
+
+        const buttons = modes.map(mode => `
+            <button class="mode-btn${selected && mode.id === selected.id ? ' selected' : ''}"
+                data-mode="${mode.id}">${mode.name.toUpperCase()}</button>
+        `).join('');
+
+        return `
+            <div class="mode-select">
+                <div class="difficulty-options">${buttons}</div>
+                <p class="mode-description">${selected ? selected.description : ''}</p>
+            </div>
+        `;
     }
 
     /**
      * Show the title screen
+     * @param {Array<Object>} highScores - High-score entries, best first
+     * @param {Object} [options]
+     * @param {boolean} [options.canContinue] - Whether a saved mission can be continued
+     * @param {Array<Object>} [options.playModes] - Selectable play modes
+     * @param {Object} [options.playMode] - Currently selected play mode
+     * @param {Array<Object>} [options.difficulties] - Selectable difficulty profiles
+     * @param {Object} [options.difficulty] - Currently selected profile
+     * @param {Array<Object>} [options.achievements] - Every achievement with its unlock state
      */
-    showTitleScreen() {
+    showTitleScreen(highScores = [], options = {}) {
+        const {
+            canContinue = false,
+            difficulties = [],
+            difficulty = null,
+            playModes = [],
+            playMode = null,
+            achievements = []
+        } = options;
+
+        const unlocked = achievements.filter(achievement => achievement.unlocked).length;
+
         if (!this.elements.messageOverlay) return;
 
         this.elements.messageOverlay.innerHTML = `
@@ -114,7 +535,14 @@ export class UIManager {
             <p>LEFT/RIGHT ARROWS or A/D - Move horizontally</p>
             <p>UP ARROW or W - Thrust (slow descent / speed ascent)</p>
             <p>SPACE - Fire (during ascent phase)</p>
-            <button id="start-btn">START MISSION</button>
+            <p>P or ESC - Pause</p>
+            ${this._playModeSelectorHTML(playModes, playMode)}
+            ${this._difficultySelectorHTML(difficulties, difficulty)}
+            ${this._highScoreTableHTML(highScores, [], this._highScoreCaption(difficulty))}
+            ${canContinue ? '<button id="continue-btn" class="menu-btn">CONTINUE MISSION</button>' : ''}
+            <button id="start-btn" class="menu-btn">START MISSION</button>
+            <button id="editor-btn" class="menu-btn">LEVEL EDITOR</button>
+            <button id="achievements-btn" class="menu-btn">ACHIEVEMENTS (${unlocked}/${achievements.length})</button>
         `;
         this.elements.messageOverlay.classList.remove('hidden');
         this.hideControlsHelp();
@@ -125,19 +553,323 @@ export class UIManager {
      * @param {number} score
      * @param {number} astronautsRescued
      * @param {number} level
+     * @param {number} seed - RNG seed of the run, for bug reports
+     * @param {Object} [options]
+     * @param {boolean} [options.canReplay] - Whether the run was recorded and can be watched
+     * @param {Array<Object>} [options.highScores] - High-score entries, best first
+     * @param {number[]} [options.highlightRanks] - Rows of this run's entries
+     * @param {Object} [options.difficulty] - Profile the run was played on
+     * @param {Array<Object>|null} [options.players] - Final values of each player in a
+     *   turn-taking game, or null for a single player
+     * @param {Object|null} [options.versus] - Match status of a versus game
+     * @param {boolean} [options.canRaceGhost] - Whether there is a best run on the seed to race
+     * @param {boolean} [options.canShowBreakdown] - Whether the run's statistics can be shown
      */
-    showGameOver(score, astronautsRescued, level) {
+    showGameOver(score, astronautsRescued, level, seed, options = {}) {
+        const {
+            canReplay = false,
+            highScores = [],
+            highlightRanks = [],
+            difficulty = null,
+            players = null,
+            versus = null,
+            canRaceGhost = false,
+            canShowBreakdown = false
+        } = options;
+
         if (!this.elements.messageOverlay) return;
 
-        this.elements.messageOverlay.innerHTML = `
-            <h1>GAME OVER</h1>
+        const results = players ? this._playerResultsHTML(players) : `
             <h2>Final Score: ${score}</h2>
             <p>Astronauts Rescued: ${astronautsRescued}</p>
             <p>Level Reached: ${level}</p>
-            <button id="restart-btn">PLAY AGAIN</button>
+        `;
+
+        this.elements.messageOverlay.innerHTML = `
+            <h1>GAME OVER</h1>
+            ${versus ? `<h2 id="versus-result">${this._versusResultText(versus)}</h2>` : ''}
+            ${results}
+            ${difficulty ? `<p>Difficulty: ${difficulty.name}</p>` : ''}
+            <p class="seed">Seed: ${seed}</p>
+            ${this._highScoreTableHTML(highScores, highlightRanks, this._highScoreCaption(difficulty))}
+            <button id="restart-btn" class="menu-btn">PLAY AGAIN</button>
+            ${canShowBreakdown ? '<button id="breakdown-btn" class="menu-btn">MISSION BREAKDOWN</button>' : ''}
+            ${canRaceGhost ? '<button id="race-ghost-btn" class="menu-btn">RACE YOUR BEST ON THIS SEED</button>' : ''}
+            ${canReplay ? `
+                <div class="menu-buttons">
+                    <button id="watch-replay-btn" class="menu-btn">WATCH LAST RUN</button>
+                    <button id="download-replay-btn" class="menu-btn">DOWNLOAD REPLAY</button>
+                </div>
+            ` : ''}
+        `;
+        this.elements.messageOverlay.classList.remove('hidden');
+        this.hideControlsHelp();
+    }
+
+    /**
+     * Show the statistics of a run next to the lifetime totals
+     * @param {Object} run - Statistics of the run (see StatisticsSystem)
+     * @param {Object} lifetime - Totals of every finished run
+     */
+    showBreakdown(run, lifetime) {
+        if (!this.elements.messageOverlay) return;
+
+        const lifetimeRows = this._breakdownRows(lifetime);
+        const rows = this._breakdownRows(run).map(([label, value], index) => `
+            <tr>
+                <td>${label}</td>
+                <td>${value}</td>
+                <td>${lifetimeRows[index][1]}</td>
+            </tr>
+        `).join('');
+
+        this.elements.messageOverlay.innerHTML = `
+            <h1>MISSION BREAKDOWN</h1>
+            <table class="breakdown">
+                <thead>
+                    <tr><th></th><th>THIS RUN</th><th>LIFETIME (${lifetime.games} ${lifetime.games === 1 ? 'GAME' : 'GAMES'})</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <button id="breakdown-back-btn" class="menu-btn">BACK</button>
+        `;
+        this.elements.messageOverlay.classList.remove('hidden');
+        this.hideControlsHelp();
+    }
+
+    /**
+     * Format statistics as labelled table rows
+     * @param {Object} stats - A run's statistics or the lifetime totals
+     * @returns {Array<string[]>} [label, value] pairs, always in the same order
+     */
+    _breakdownRows(stats) {
+        const seconds = value => (value ? `${value.toFixed(1)}s` : '-');
+        const average = (total, count, format) => (count ? format(total / count) : '-');
+        const minutes = Math.floor(stats.time / 60);
+
+        return [
+            ['Flight time', `${minutes}:${String(Math.floor(stats.time % 60)).padStart(2, '0')}`],
+            ['Shots fired', stats.shots],
+            ['Accuracy', average(stats.hits * 100, stats.shots, value => `${Math.round(value)}%`)],
+            ['Meteors destroyed', stats.meteorsDestroyed],
+            ['Flagships destroyed', stats.flagshipsDestroyed],
+            ['Fuel consumed', Math.round(stats.fuelConsumed)],
+            ['Landings', stats.landings],
+            ['Average landing speed', average(stats.landingSpeed, stats.landings, value => value.toFixed(2))],
+            ['Astronauts rescued', stats.rescued],
+            ['Time per rescue', average(stats.time, stats.rescued, seconds)],
+            ['Fastest rescue', seconds(stats.fastestRescue)],
+            ['Lost to meteors', stats.deaths.meteor],
+            ['Lost to the ground', stats.deaths.ground],
+            ['Lost off the edge', stats.deaths.boundary],
+            ['Lost to hard landings', stats.deaths.hardLanding],
+            ['Lost to friendly fire', stats.deaths.friendlyFire],
+            ['Lost to Flagships', stats.deaths.flagship]
+        ];
+    }
+
+    /**
+     * Build the winner announcement and per-player results of a turn-taking game
+     * @param {Array<Object>} players - Final values of each player
+     * @returns {string}
+     */
+    _playerResultsHTML(players) {
+        const best = Math.max(...players.map(player => player.score));
+        const winners = players.filter(player => player.score === best);
+        const headline = winners.length > 1
+            ? 'IT\'S A DRAW!'
+            : `PLAYER ${players.indexOf(winners[0]) + 1} WINS!`;
+
+        const rows = players.map((player, index) => `
+            <tr${winners.length === 1 && player === winners[0] ? ' class="highlight"' : ''}>
+                <td>PLAYER ${index + 1}</td>
+                <td>${player.score}</td>
+                <td>${player.astronautsRescued}</td>
+                <td>${player.level}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <h2>${headline}</h2>
+            <table class="player-results">
+                <thead>
+                    <tr><th></th><th>SCORE</th><th>RESCUED</th><th>LEVEL</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Show the arcade-style initials entry for a new high score
+     * @param {number} score
+     * @param {string} initials - Letters to start from
+     * @param {Function} onConfirm - Called with the chosen initials
+     * @param {number|null} [player] - Player number in a turn-taking game
+     */
+    showInitialsEntry(score, initials, onConfirm, player = null) {
+        if (!this.elements.messageOverlay) return;
+
+        this.elements.messageOverlay.innerHTML = `
+            <h1>NEW HIGH SCORE!</h1>
+            <h2>${player ? `PLAYER ${player}: ` : ''}${score}</h2>
+            <p>Enter your initials: UP/DOWN to change, LEFT/RIGHT to move, ENTER to confirm</p>
+            <div id="initials-entry"></div>
         `;
         this.elements.messageOverlay.classList.remove('hidden');
         this.hideControlsHelp();
+
+        new InitialsPicker(document.getElementById('initials-entry'), initials, onConfirm);
+    }
+
+    /**
+     * Show pause menu
+     */
+    showPauseMenu() {
+        if (!this.elements.messageOverlay) return;
+
+        this.elements.messageOverlay.innerHTML = `
+            <h1>PAUSED</h1>
+            <p>Press P or ESC to resume</p>
+            <div class="menu-buttons">
+                <button id="resume-btn" class="menu-btn">RESUME</button>
+                <button id="pause-restart-btn" class="menu-btn">RESTART</button>
+                <button id="save-quit-btn" class="menu-btn">SAVE AND QUIT</button>
+                <button id="quit-btn" class="menu-btn">QUIT TO TITLE</button>
+            </div>
+        `;
+        this.elements.messageOverlay.classList.remove('hidden');
+        this.hideControlsHelp();
+    }
+
+    /**
+     * Show the versus lobby
+     * @param {string} room - Room code to offer
+     * @param {string} url - Relay address
+     * @param {string} [status] - Connection status
+     */
+    showVersusLobby(room, url, status = '') {
+        if (!this.elements.messageOverlay) return;
+
+        this.elements.messageOverlay.innerHTML = `
+            <h1>VERSUS</h1>
+            <p>Both players join the same room code. The first to rescue the target number of astronauts wins.</p>
+            <p>Relay: ${url} (start it with <code>node server/relay.js</code>)</p>
+            <div class="versus-lobby">
+                <label>ROOM <input id="versus-room" type="text" maxlength="16" value="${room}"></label>
+                <p id="versus-status">${status}</p>
+            </div>
+            <div class="menu-buttons">
+                <button id="versus-join-btn" class="menu-btn">JOIN ROOM</button>
+                <button id="versus-back-btn" class="menu-btn">BACK</button>
+            </div>
+        `;
+        this.elements.messageOverlay.classList.remove('hidden');
+        this.hideControlsHelp();
+    }
+
+    /**
+     * Show the achievements gallery, locked ones greyed out
+     * @param {Array<Object>} achievements - From AchievementSystem.getAll()
+     */
+    showAchievements(achievements) {
+        if (!this.elements.messageOverlay) return;
+
+        const unlocked = achievements.filter(achievement => achievement.unlocked).length;
+        const tiles = achievements.map(achievement => `
+            <div class="achievement${achievement.unlocked ? '' : ' locked'}">
+                <div class="achievement-name">${achievement.name}</div>
+                <div class="achievement-description">${achievement.description}</div>
+            </div>
+        `).join('');
+
+        this.elements.messageOverlay.innerHTML = `
+            <h1>ACHIEVEMENTS</h1>
+            <p>${unlocked} of ${achievements.length} unlocked</p>
+            <div class="achievement-gallery">${tiles}</div>
+            <button id="achievements-back-btn" class="menu-btn">BACK</button>
+        `;
+        this.elements.messageOverlay.classList.remove('hidden');
+        this.hideControlsHelp();
+    }
+
+    /**
+     * Pop up a notification for a newly unlocked achievement
+     * It is removed after Config.ACHIEVEMENT_TOAST_DURATION seconds
+     * @param {{name: string, description: string}} achievement
+     */
+    showAchievementToast(achievement) {
+        const { toastContainer } = this.elements;
+        if (!toastContainer) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.innerHTML = `<strong>ACHIEVEMENT UNLOCKED: ${achievement.name}</strong>${achievement.description}`;
+        toastContainer.appendChild(toast);
+
+        this.toasts.push({ element: toast, timeLeft: Config.ACHIEVEMENT_TOAST_DURATION });
+    }
+
+    /**
+     * Show the connection status in the versus lobby
+     * @param {string} status
+     */
+    updateVersusLobby(status) {
+        const element = document.getElementById('versus-status');
+        if (element) {
+            element.textContent = status;
+        }
+    }
+
+    /**
+     * Show replay playback controls
+     */
+    showReplayControls() {
+        if (this.elements.replayControls) {
+            this.elements.replayControls.classList.remove('hidden');
+        }
+        this.hideControlsHelp();
+    }
+
+    /**
+     * Hide replay playback controls
+     */
+    hideReplayControls() {
+        if (this.elements.replayControls) {
+            this.elements.replayControls.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Update replay playback controls
+     * @param {{tick: number, ticks: number, playing: boolean, speed: number}} status
+     */
+    updateReplayControls(status) {
+        if (!this.elements.replayControls) return;
+
+        this.elements.replayPlay.textContent = status.playing ? 'PAUSE' : 'PLAY';
+        this.elements.replayStep.disabled = status.playing;
+        this.elements.replaySpeeds.forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.speed) === status.speed);
+        });
+
+        const seconds = tick => (tick * Config.FIXED_TIMESTEP).toFixed(1);
+        this.elements.replayProgress.textContent = `${seconds(status.tick)}s / ${seconds(status.ticks)}s`;
+    }
+
+    /**
+     * Offer data to the player as a JSON file download
+     * @param {string} filename
+     * @param {Object} data
+     */
+    downloadJSON(filename, data) {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
     }
 
     /**
@@ -173,10 +905,14 @@ export class UIManager {
      */
     updateAll(state) {
         this.updateScore(state.score);
+        this.updateMultiplier(state.multiplier);
+        this.updatePlayers(state.players, state.activePlayer, state.score);
         this.updateRescuedCount(state.astronautsRescued);
+        this.updateOxygen(state.padAstronauts);
         this.updateLives(state.lives);
-        this.updatePhase(state.phase);
-        this.updateFuel(state.fuel);
+        this.updatePhase(state.phase, state.crew.length > 1);
+        this.updateFuel(state.crew[0].fuel);
+        this.updateCoopFuel(state.crew[1] ? state.crew[1].fuel : null);
     }
 
     /**
@@ -187,6 +923,62 @@ export class UIManager {
         return document.getElementById('start-btn');
     }
 
+    /**
+     * Get continue button element
+     * @returns {HTMLElement|null}
+     */
+    getContinueButton() {
+        return document.getElementById('continue-btn');
+    }
+
+    /**
+     * Get level editor button element
+     * @returns {HTMLElement|null}
+     */
+    getEditorButton() {
+        return document.getElementById('editor-btn');
+    }
+
+    /**
+     * Get the title screen button that opens the achievements gallery
+     * @returns {HTMLElement|null}
+     */
+    getAchievementsButton() {
+        return document.getElementById('achievements-btn');
+    }
+
+    /**
+     * Get the button that leaves the achievements gallery
+     * @returns {HTMLElement|null}
+     */
+    getAchievementsBackButton() {
+        return document.getElementById('achievements-back-btn');
+    }
+
+    /**
+     * Get the element the level editor renders into
+     * @returns {HTMLElement|null}
+     */
+    getEditorPanel() {
+        return this.elements.editorPanel;
+    }
+
+    /**
+     * Get title screen difficulty buttons
+     * @returns {HTMLElement[]}
+     */
+    getDifficultyButtons() {
+        return Array.from(document.querySelectorAll('.difficulty-btn'));
+    }
+
+    /**
+     * Get title screen play mode buttons
+     * @returns {HTMLElement[]}
+     */
+    getPlayModeButtons() {
+        return Array.from(document.querySelectorAll('.mode-btn'));
+    }
+
     /**
      * Get restart button element
      * @returns {HTMLElement|null}
@@ -194,6 +986,79 @@ export class UIManager {
     getRestartButton() {
         return document.getElementById('restart-btn');
     }
+
+    /**
+     * Get the game over button that opens the mission breakdown
+     * @returns {HTMLElement|null}
+     */
+    getBreakdownButton() {
+        return document.getElementById('breakdown-btn');
+    }
+
+    /**
+     * Get the button that leaves the mission breakdown
+     * @returns {HTMLElement|null}
+     */
+    getBreakdownBackButton() {
+        return document.getElementById('breakdown-back-btn');
+    }
+
+    /**
+     * Get the game over button that races the best run on the seed
+     * @returns {HTMLElement|null}
+     */
+    getRaceGhostButton() {
+        return document.getElementById('race-ghost-btn');
+    }
+
+    /**
+     * Get game over replay button elements
+     * @returns {{watch: HTMLElement|null, download: HTMLElement|null}}
+     */
+    getReplayButtons() {
+        return {
+            watch: document.getElementById('watch-replay-btn'),
+            download: document.getElementById('download-replay-btn')
+        };
+    }
+
+    /**
+     * Get replay playback control elements
+     * @returns {{play: HTMLElement|null, step: HTMLElement|null, exit: HTMLElement|null, speeds: HTMLElement[]}}
+     */
+    getReplayControlButtons() {
+        return {
+            play: this.elements.replayPlay,
+            step: this.elements.replayStep,
+            exit: this.elements.replayExit,
+            speeds: this.elements.replaySpeeds
+        };
+    }
+
+    /**
+     * Get the versus lobby room field and buttons
+     * @returns {{room: HTMLInputElement|null, join: HTMLElement|null, back: HTMLElement|null}}
+     */
+    getVersusLobbyControls() {
+        return {
+            room: document.getElementById('versus-room'),
+            join: document.getElementById('versus-join-btn'),
+            back: document.getElementById('versus-back-btn')
+        };
+    }
+
+    /**
+     * Get pause menu button elements
+     * @returns {{resume: HTMLElement|null, restart: HTMLElement|null, saveQuit: HTMLElement|null, quit: HTMLElement|null}}
+     */
+    getPauseMenuButtons() {
+        return {
+            resume: document.getElementById('resume-btn'),
+            restart: document.getElementById('pause-restart-btn'),
+            saveQuit: document.getElementById('save-quit-btn'),
+            quit: document.getElementById('quit-btn')
+        };
+    }
 }
 
 export default UIManager;
@@ -0,0 +1,183 @@
+/**
+ * Versus Client
+ * Connects to the versus relay (server/relay.js) over WebSocket, joins a room
+ * and exchanges lander state and match events with the opponent.
+ * The message types are shared with the relay.
+ */
+
+export const VERSUS_DEFAULT_PORT = 8787;
+
+/**
+ * Message types: join, state, finish and out are sent by clients; waiting,
+ * start, result and error come from the relay, which forwards state as is
+ */
+export const VERSUS_MESSAGES = {
+    JOIN: 'join',
+    WAITING: 'waiting',
+    START: 'start',
+    STATE: 'state',
+    FINISH: 'finish',
+    OUT: 'out',
+    RESULT: 'result',
+    ERROR: 'error'
+};
+
+/**
+ * Room codes the relay accepts: letters, digits, dashes and underscores
+ */
+export const ROOM_PATTERN = /^[A-Za-z0-9_-]{1,16}$/;
+
+/**
+ * Read a number sent by the opponent, which may be anything at all
+ * @param {*} value
+ * @returns {number|null} The number, or null unless it is a finite number or numeric string
+ */
+export function readRemoteNumber(value) {
+    if (typeof value !== 'number' && (typeof value !== 'string' || value.trim() === '')) return null;
+
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+export class VersusClient {
+    constructor() {
+        this.socket = null;
+        this.room = null;
+        this.listeners = new Map();
+    }
+
+    /**
+     * Connect to a relay and join a room
+     * The match starts (a 'start' event) once a second player joins the room
+     * @param {string} url - Relay address, e.g. ws://localhost:8787
+     * @param {string} room - Room code shared with the opponent
+     * @param {string} difficulty - Profile id proposed for the match; the first
+     *   player in the room decides
+     */
+    connect(url, room, difficulty) {
+        this.close();
+
+        if (!ROOM_PATTERN.test(room)) {
+            this.emit(VERSUS_MESSAGES.ERROR, { message: 'Room codes are up to 16 letters, digits, - or _' });
+            return;
+        }
+
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (e) {
+            this.emit(VERSUS_MESSAGES.ERROR, { message: `Cannot reach ${url}` });
+            return;
+        }
+
+        this.socket = socket;
+        this.room = room;
+
+        socket.addEventListener('open', () => {
+            this.send(VERSUS_MESSAGES.JOIN, { room, difficulty });
+        });
+        socket.addEventListener('message', event => this.handleMessage(event.data));
+        socket.addEventListener('error', () => {
+            if (this.socket === socket) {
+                this.emit(VERSUS_MESSAGES.ERROR, { message: `Cannot reach ${url}` });
+            }
+        });
+        socket.addEventListener('close', () => {
+            // Closing on purpose detaches the socket first
+            if (this.socket === socket) {
+                this.socket = null;
+                this.emit('disconnect', {});
+            }
+        });
+    }
+
+    /**
+     * Check if the connection to the relay is open
+     * @returns {boolean}
+     */
+    isConnected() {
+        return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Parse a relay message and notify its listeners
+     * @param {string} data
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            console.warn('Ignoring malformed versus message:', e);
+            return;
+        }
+
+        if (message && typeof message.type === 'string') {
+            this.emit(message.type, message);
+        }
+    }
+
+    /**
+     * Send a message to the relay
+     * @param {string} type - One of VERSUS_MESSAGES
+     * @param {Object} [data]
+     */
+    send(type, data = {}) {
+        if (this.isConnected()) {
+            this.socket.send(JSON.stringify({ ...data, type }));
+        }
+    }
+
+    /**
+     * Leave the room and close the connection
+     * Leaving a match in progress forfeits it
+     */
+    close() {
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.socket = null;
+        this.room = null;
+        socket.close();
+    }
+
+    /**
+     * Subscribe to a relay message type, or 'disconnect'
+     * @param {string} event
+     * @param {Function} callback - Called with the message
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+
+    /**
+     * Unsubscribe from a relay message type
+     * @param {string} event
+     * @param {Function} callback
+     */
+    off(event, callback) {
+        if (this.listeners.has(event)) {
+            const callbacks = this.listeners.get(event);
+            const index = callbacks.indexOf(callback);
+            if (index > -1) {
+                callbacks.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Notify listeners
+     * @param {string} event
+     * @param {Object} message
+     */
+    emit(event, message) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(cb => cb(message));
+        }
+    }
+}
+
+export default VersusClient;
@@ -7,3 +7,11 @@ export { inputSystem } from './InputSystem.js';
 export { SceneManager } from './SceneManager.js';
 export { CollisionSystem } from './CollisionSystem.js';
 export { UIManager } from './UIManager.js';
+export { createNullUIManager } from './NullUIManager.js';
+export { LevelManager, loadLevels, generateLevel, createLevelSet, strandAstronauts } from './LevelManager.js';
+export { LevelEditor } from './LevelEditor.js';
+export { VersusClient, VERSUS_MESSAGES } from './VersusClient.js';
+export { ghostSystem, GhostRecorder, GhostPlayer } from './GhostSystem.js';
+export { achievementSystem } from './AchievementSystem.js';
+export { statisticsSystem } from './StatisticsSystem.js';
+export { ComboTracker } from './ComboSystem.js';
@@ -0,0 +1,105 @@
+/**
+ * Seeded Random Number Generator
+ * Deterministic stand-in for Math.random so a seed plus an input stream
+ * reproduces a run exactly
+ */
+
+/**
+ * Create a fresh, unpredictable 32-bit seed
+ * @returns {number}
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+export class RandomGenerator {
+    /**
+     * @param {number} [seed] - 32-bit seed (random if omitted)
+     */
+    constructor(seed = createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - 32-bit seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the internal state, to continue the sequence later
+     * @returns {number}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Continue the sequence from a state returned by getState()
+     * @param {number} state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) (mulberry32)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Float in [min, max)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [min, max)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - 0 to 1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} array
+     * @returns {*}
+     */
+    pick(array) {
+        return array[this.int(0, array.length)];
+    }
+}
+
+// Export singleton instance shared by every entity and system
+export const rng = new RandomGenerator();
+export default rng;
+
+// Unseeded generator for looks and sounds only (sparks, stars, engine noise),
+// so drawing from it never shifts the simulation's sequence
+export const cosmeticRng = new RandomGenerator();
@@ -0,0 +1,5 @@
+/**
+ * Utils Module Exports
+ */
+
+export { rng, cosmeticRng, RandomGenerator, createSeed } from './Random.js';
@@ -0,0 +1,169 @@
+/**
+ * Autopilot
+ * Flies every lander in play for the headless tools. It dodges meteors and
+ * Flagship shots, saves its fuel for braking above the pad and shoots meteors
+ * on the way up, but does not hunt Flagships or race the oxygen timers, so it
+ * plays well below a practised human. Its inputs depend only on the game
+ * state and the step count, so a run it flies is reproducible.
+ */
+
+import { Config } from '../src/core/Config.js';
+import { gameState } from '../src/core/GameState.js';
+
+/**
+ * Decide which actions to hold this step, for every lander in play
+ * @param {Game} game
+ * @param {number} tick - Steps since the run started
+ * @returns {Object<string, boolean>}
+ */
+export function autopilot(game, tick) {
+    const inputs = {};
+
+    game.landers.forEach(lander => {
+        const suffix = lander.pilot > 0 ? String(lander.pilot + 1) : '';
+        Object.entries(steer(game, lander, tick)).forEach(([action, held]) => {
+            inputs[`${action}${suffix}`] = held;
+        });
+    });
+
+    return inputs;
+}
+
+// Seconds ahead the autopilot predicts meteor and Flagship shot paths, in
+// steps of SAMPLE, and the room in units it keeps from them
+const HORIZON = 0.6;
+const SAMPLE = 0.05;
+const MARGIN = 0.5;
+
+/**
+ * Predict how close a lander holding a course comes to a meteor or Flagship shot
+ * @param {Game} game
+ * @param {Lander} lander
+ * @param {number} vx - Horizontal velocity held
+ * @param {number} vy - Vertical velocity held
+ * @returns {number} Smallest gap between the lander and anything it could hit;
+ *   -Infinity if the course leaves the play area
+ */
+function clearance(game, lander, vx, vy) {
+    const bound = Config.GAME_WIDTH / 2 - 2;
+    if (Math.abs(lander.position.x + vx * HORIZON) > bound) return -Infinity;
+
+    const obstacles = [...game.meteors, ...game.flagshipShots];
+    let closest = Infinity;
+
+    for (let t = SAMPLE; t <= HORIZON; t += SAMPLE) {
+        const x = lander.position.x + vx * t;
+        const y = lander.position.y + vy * t;
+
+        obstacles.forEach(obstacle => {
+            const ox = obstacle.position.x + obstacle.velocity.x * t;
+            const oy = obstacle.position.y + obstacle.velocity.y * t;
+            // Flagships turn after the lander, so give them a wider berth
+            const berth = obstacle.isFlagship ? 2 : 0;
+            closest = Math.min(closest, Math.hypot(ox - x, oy - y) - obstacle.radius - lander.radius - berth);
+        });
+    }
+
+    return closest;
+}
+
+/**
+ * Check if a meteor is lined up above the lander, in the path of its bullets
+ * @param {Game} game
+ * @param {Lander} lander
+ * @returns {boolean}
+ */
+function hasTargetOverhead(game, lander) {
+    return game.meteors.some(meteor =>
+        meteor.position.y > lander.position.y &&
+        meteor.position.y - lander.position.y < Config.GAME_HEIGHT / 2 &&
+        Math.abs(meteor.position.x - lander.position.x) < meteor.radius
+    );
+}
+
+/**
+ * Decide which actions one lander's pilot holds this step
+ * Heads for the nearest pad with astronauts left on the way down and for the
+ * docking bay on the way up, picking whichever course keeps clear of meteors
+ * and Flagship shots over the next moments; on the way up it also shoots the
+ * meteors lined up above it
+ * @param {Game} game
+ * @param {Lander} lander
+ * @param {number} tick - Steps since the run started
+ * @returns {Object<string, boolean>}
+ */
+function steer(game, lander, tick) {
+    const inputs = { left: false, right: false, up: false, space: false };
+    const phase = lander.getFlightPhase();
+    if (phase !== Config.PHASE.DESCENT && phase !== Config.PHASE.ASCENT) return inputs;
+
+    let targetX = 0;
+    let wantThrust = false;
+    const courses = [];
+
+    if (phase === Config.PHASE.DESCENT) {
+        const pads = game.landingPads.filter(pad => pad.hasAstronauts());
+        const nearest = (pads.length ? pads : game.landingPads).reduce((best, pad) =>
+            Math.abs(pad.padX - lander.position.x) < Math.abs(best.padX - lander.position.x) ? pad : best
+        );
+        targetX = nearest.padX;
+
+        // Fuel lasts only seconds of thrust, so fall freely and brake just
+        // above the ground, where a hard landing is certain and a meteor only likely
+        const landing = lander.position.y < -Config.GAME_HEIGHT / 2 + 8;
+        wantThrust = landing && lander.velocity.y < -Config.LANDING_MAX_SPEED * 0.6;
+
+        // A Flagship in range dives at a descending lander: outrun it sideways
+        const hunter = game.meteors.find(meteor =>
+            meteor.isFlagship &&
+            Math.hypot(meteor.position.x - lander.position.x, meteor.position.y - lander.position.y) <
+                Config.FLAGSHIP_DIVE_RANGE + 2
+        );
+        if (hunter) {
+            const away = lander.position.x >= hunter.position.x ? 1 : -1;
+            const dodge = lander.position.x + away * 6;
+            targetX = Math.abs(dodge) < Config.GAME_WIDTH / 2 - 4 ? dodge : lander.position.x - away * 6;
+        }
+
+        // Braking to dodge is only worth it with fuel left over for the landing
+        const reserve = gameState.getFuel(lander.pilot) > Config.FUEL_MAX * 0.4;
+        const gravity = game.level.gravity;
+        const falling = Math.max(Config.MAX_DESCENT_SPEED, lander.velocity.y + gravity * HORIZON / 2);
+        const braking = Math.min(0, lander.velocity.y + (Config.THRUST + gravity) * HORIZON / 2);
+        [-1, 0, 1].forEach(direction => {
+            if (!wantThrust) {
+                courses.push({ direction, up: false, vx: direction * Config.HORIZONTAL_SPEED, vy: falling });
+            }
+            if (landing || reserve) {
+                courses.push({ direction, up: true, vx: direction * Config.HORIZONTAL_SPEED, vy: braking });
+            }
+        });
+    } else {
+        inputs.space = hasTargetOverhead(game, lander) && tick % 6 < 3;
+        [-1, 0, 1].forEach(direction => {
+            courses.push({ direction, up: false, vx: direction * Config.HORIZONTAL_SPEED * 0.7, vy: Config.ASCENT_SPEED });
+        });
+    }
+
+    // Stop short of the target rather than overshoot it
+    const offset = targetX - lander.position.x;
+    const wanted = Math.abs(offset) > 0.5 ? Math.sign(offset) : 0;
+
+    courses.forEach(course => {
+        course.clear = clearance(game, lander, course.vx, course.vy);
+        course.cost = Math.abs(course.direction - wanted) + (course.up === wantThrust ? 0 : 0.5);
+    });
+
+    const safe = courses.filter(course => course.clear > MARGIN);
+    const best = safe.length
+        ? safe.reduce((a, b) => (b.cost < a.cost ? b : a))
+        : courses.reduce((a, b) => (b.clear > a.clear ? b : a));
+
+    inputs.left = best.direction < 0;
+    inputs.right = best.direction > 0;
+    inputs.up = best.up;
+
+    return inputs;
+}
+
+export default autopilot;
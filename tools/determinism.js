@@ -0,0 +1,185 @@
+/**
+ * Headless Determinism Check
+ * Plays seeded games with the autopilot and checks that the game state can be
+ * reproduced exactly, the way replays, saved games, versus seeds and ghosts
+ * rely on it:
+ *   - watching the run's replay goes through the same states as the live run
+ *   - a snapshot taken mid-run, put through JSON and restored, then flown on
+ *     with the same inputs, goes through the same states as the live run
+ * States are compared once a second of game time, on every play mode given.
+ * Prints the first step each check diverged at and exits with status 1 if any did.
+ *
+ * Usage (three.js must be resolvable, e.g. `npm install --no-save three@0.160.0`):
+ *   node tools/determinism.js [--runs 5] [--max-seconds 120] [--restore-at 10] [--seed 1]
+ *     [--difficulty pilot] [--levels levels/levels.json] [--modes single,coop,alternate]
+ *
+ * Run n uses seed + n. Levels come from levels/levels.json unless --levels
+ * points at another file or is 'none' (generated levels only).
+ */
+
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { Config } from '../src/core/Config.js';
+import { gameState } from '../src/core/GameState.js';
+import { Game } from '../src/core/Game.js';
+import { getPlayMode } from '../src/core/PlayModes.js';
+import { autopilot } from './autopilot.js';
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {string[]} argv
+ * @returns {Object<string, string>}
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+// Steps between state comparisons: once a second of game time
+const CHECK_INTERVAL = Math.round(1 / Config.FIXED_TIMESTEP);
+
+/**
+ * Digest the simulation state of the game in play
+ * Statistics and achievements are left out: watched replays do not count them
+ * @param {Game} game
+ * @returns {string}
+ */
+function fingerprint(game) {
+    const { achievements, statistics, ...state } = game.createSnapshot();
+    return createHash('sha1').update(JSON.stringify(state)).digest('hex');
+}
+
+/**
+ * Step the game until it is over or has run maxSteps steps in all
+ * @param {Game} game
+ * @param {number} tick - Steps already run
+ * @param {number} maxSteps
+ * @param {boolean} flown - Feed the autopilot's inputs; otherwise a replay plays itself
+ * @param {function(number): void} [onStep] - Called after every step with the step count
+ * @returns {Map<number, string>} Fingerprints by step count, every CHECK_INTERVAL
+ *   steps and at game over
+ */
+function play(game, tick, maxSteps, flown, onStep = null) {
+    const fingerprints = new Map();
+
+    while (!game.isGameOver() && tick < maxSteps) {
+        game.step(Config.FIXED_TIMESTEP, flown ? autopilot(game, tick) : null);
+        tick++;
+
+        if (tick % CHECK_INTERVAL === 0 || game.isGameOver()) {
+            fingerprints.set(tick, fingerprint(game));
+        }
+        if (onStep) onStep(tick);
+    }
+
+    return fingerprints;
+}
+
+/**
+ * Find the first step at which a reproduction left the live run
+ * @param {Map<number, string>} live
+ * @param {Map<number, string>} reproduced
+ * @param {number} from - Step the reproduction started at
+ * @param {number} to - Last step the reproduction ran
+ * @returns {number|null} Step count, or null if every state matched
+ */
+function firstDivergence(live, reproduced, from, to) {
+    const ticks = [...new Set([...live.keys(), ...reproduced.keys()])]
+        .filter(tick => tick > from && tick <= to)
+        .sort((a, b) => a - b);
+
+    const divergence = ticks.find(tick => live.get(tick) !== reproduced.get(tick));
+    return divergence === undefined ? null : divergence;
+}
+
+/**
+ * Go back to the title screen, ending the run or replay in play if any
+ * @param {Game} game
+ */
+function endRun(game) {
+    if (gameState.get('phase') !== Config.PHASE.TITLE) {
+        game.quitToTitle();
+    }
+}
+
+const args = parseArgs(process.argv.slice(2));
+const runs = Number(args.runs) || 5;
+const maxSteps = Math.round((Number(args['max-seconds']) || 120) / Config.FIXED_TIMESTEP);
+const restoreAt = Math.round((Number(args['restore-at']) || 10) / Config.FIXED_TIMESTEP);
+const baseSeed = Number(args.seed) || 1;
+const modes = (args.modes || 'single,coop,alternate').split(',');
+
+const levelsPath = args.levels || new URL('../levels/levels.json', import.meta.url);
+const levels = args.levels === 'none' ? null : JSON.parse(readFileSync(levelsPath, 'utf8'));
+
+const game = new Game(null, { headless: true, levels });
+if (args.difficulty) {
+    game.selectDifficulty(args.difficulty);
+}
+
+let failures = 0;
+
+/**
+ * Report the outcome of one check
+ * @param {string} label
+ * @param {number|null} divergence - Step the check diverged at, or null
+ */
+function report(label, divergence) {
+    if (divergence === null) {
+        console.log(`ok    ${label}`);
+    } else {
+        failures++;
+        console.log(`FAIL  ${label}: diverged by ${(divergence * Config.FIXED_TIMESTEP).toFixed(2)}s (step ${divergence})`);
+    }
+}
+
+for (const mode of modes) {
+    game.selectPlayMode(mode);
+    const name = getPlayMode(game.playMode).name;
+
+    for (let run = 0; run < runs; run++) {
+        const seed = baseSeed + run;
+        let snapshot = null;
+
+        game.startGame(seed);
+        const live = play(game, 0, maxSteps, true, tick => {
+            if (tick === restoreAt) {
+                snapshot = JSON.stringify(game.createSnapshot());
+            }
+        });
+
+        // A run that timed out is still recording, and is cut short here. Its
+        // replay quits to the title on its last step, so that step is not compared
+        const finished = game.isGameOver();
+        const lastTick = Math.max(0, ...live.keys());
+        const replay = finished ? game.lastReplay : game.replayRecorder.stop();
+        const replayTo = finished ? lastTick : maxSteps - 1;
+        endRun(game);
+
+        game.watchReplay(JSON.parse(JSON.stringify(replay)));
+        const replayed = play(game, 0, replayTo, false);
+        endRun(game);
+        report(`${name} seed ${seed} replay`, firstDivergence(live, replayed, 0, replayTo));
+
+        if (snapshot) {
+            game.restoreSnapshot(JSON.parse(snapshot));
+            const restored = play(game, restoreAt, maxSteps, true);
+            endRun(game);
+            report(`${name} seed ${seed} save/restore at ${(restoreAt * Config.FIXED_TIMESTEP).toFixed(0)}s`,
+                firstDivergence(live, restored, restoreAt, maxSteps));
+        } else {
+            console.log(`skip  ${name} seed ${seed} save/restore: over before ${(restoreAt * Config.FIXED_TIMESTEP).toFixed(0)}s`);
+        }
+    }
+}
+
+game.dispose();
+
+console.log(failures ? `${failures} check(s) diverged` : 'All runs reproduced exactly');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,97 @@
+/**
+ * Headless Simulation Runner
+ * Plays many games without a browser using a simple autopilot and prints
+ * aggregate results. Useful for balance testing and regression checks.
+ * The autopilot (see autopilot.js) plays well below a practised human.
+ *
+ * Usage (three.js must be resolvable, e.g. `npm install --no-save three@0.160.0`):
+ *   node tools/simulate.js [--runs 100] [--max-seconds 300] [--seed 1] [--difficulty pilot]
+ *     [--levels levels/levels.json] [--mode single]
+ *
+ * Run n uses seed + n, so a batch started with the same --seed is reproducible.
+ * Levels come from levels/levels.json unless --levels points at another file
+ * or is 'none' (generated levels only). With --mode alternate the autopilot
+ * flies every turn and results are averaged per player; with --mode coop it
+ * flies both landers.
+ */
+
+import { readFileSync } from 'fs';
+import { Config } from '../src/core/Config.js';
+import { gameState } from '../src/core/GameState.js';
+import { Game } from '../src/core/Game.js';
+import { getPlayMode } from '../src/core/PlayModes.js';
+import { autopilot } from './autopilot.js';
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {string[]} argv
+ * @returns {Object<string, string>}
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const runs = Number(args.runs) || 100;
+const maxSteps = Math.round((Number(args['max-seconds']) || 300) / Config.FIXED_TIMESTEP);
+const baseSeed = Number(args.seed) || 1;
+
+const levelsPath = args.levels || new URL('../levels/levels.json', import.meta.url);
+const levels = args.levels === 'none' ? null : JSON.parse(readFileSync(levelsPath, 'utf8'));
+
+const game = new Game(null, { headless: true, levels });
+if (args.difficulty) {
+    game.selectDifficulty(args.difficulty);
+}
+if (args.mode) {
+    game.selectPlayMode(args.mode);
+}
+const playMode = getPlayMode(game.playMode);
+const results = [];
+
+for (let run = 0; run < runs; run++) {
+    game.startGame(baseSeed + run);
+
+    let tick = 0;
+    while (!game.isGameOver() && tick < maxSteps) {
+        game.step(Config.FIXED_TIMESTEP, autopilot(game, tick));
+        tick++;
+    }
+
+    gameState.getPlayers().forEach(player => {
+        results.push({
+            seed: baseSeed + run,
+            score: player.score,
+            rescued: player.astronautsRescued,
+            level: player.level,
+            seconds: tick * Config.FIXED_TIMESTEP,
+            finished: game.isGameOver()
+        });
+    });
+
+    // A run that timed out is still in play and has to be ended before the next one
+    if (!game.isGameOver()) {
+        game.quitToTitle();
+    }
+}
+
+game.dispose();
+
+const average = key => results.reduce((sum, r) => sum + r[key], 0) / results.length;
+
+console.log(`Difficulty:        ${Config.DIFFICULTY}`);
+console.log(`Runs:              ${runs}`);
+console.log(`Mode:              ${playMode.name}`);
+console.log(`Average score:     ${average('score').toFixed(1)}`);
+console.log(`Best score:        ${Math.max(...results.map(r => r.score))}`);
+console.log(`Average rescued:   ${average('rescued').toFixed(2)}`);
+console.log(`Average level:     ${average('level').toFixed(2)}`);
+console.log(`Average duration:  ${average('seconds').toFixed(1)}s`);
+console.log(`Timed out:         ${results.filter(r => !r.finished).length / playMode.players}`);